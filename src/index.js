@@ -1,5 +1,3 @@
-import style from './index.css';
-
 /**
  * A module to visualize time-related data.
  * @module TimeCharts
@@ -56,6 +54,375 @@ function mergeObjects(obj, merger, overwrite) {
     }
 }
 
+/**
+ * Checks whether a point in time is absolute (a Date, an ISO string or epoch milliseconds) instead of a number of minutes.
+ * @private
+ * @param {Date|string|number} value - the point in time
+ * @param {'minutes' | 'milliseconds'} [unit = 'minutes'] - how numbers are interpreted
+ * @returns {boolean} - whether the point in time is absolute
+ */
+function isAbsoluteTime(value, unit) {
+    return value instanceof Date || typeof value === "string" || (typeof value === "number" && unit === "milliseconds");
+}
+
+/**
+ * Converts a point in time into minutes. Absolute points in time are converted into minutes since the unix epoch.
+ * @private
+ * @param {Date|string|number} value - the point in time
+ * @param {'minutes' | 'milliseconds'} [unit = 'minutes'] - how numbers are interpreted
+ * @returns {number} - the point in time in minutes
+ */
+function toMinutes(value, unit) {
+    if (value instanceof Date) {
+        return value.getTime() / 60000;
+    } else if (typeof value === "string") {
+        return new Date(value).getTime() / 60000;
+    } else if (unit === "milliseconds") {
+        return value / 60000;
+    }
+    return value;
+}
+
+const timeZoneFormats = {}; // Cache for the formats used to calculate time zone offsets
+
+/**
+ * Calculates the offset of a time zone from UTC at a point in time.
+ * @private
+ * @param {number} minutes - the point in time in minutes since the unix epoch
+ * @param {string} [timeZone] - the IANA time zone. Defaults to the local time zone.
+ * @returns {number} - the offset in minutes (e.g. 60 for UTC+1)
+ */
+function timeZoneOffset(minutes, timeZone) {
+    const date = new Date(minutes * 60000);
+    if (!timeZone) {
+        return -date.getTimezoneOffset();
+    }
+
+    if (!(timeZone in timeZoneFormats)) {
+        timeZoneFormats[timeZone] = new Intl.DateTimeFormat("en-US", { timeZone, hourCycle: "h23", year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric" });
+    }
+
+    const parts = {};
+    for (const part of timeZoneFormats[timeZone].formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) / 60000 - Math.floor(minutes);
+}
+
+/**
+ * Finds the start of the day of a point in time.
+ * @private
+ * @param {number} minutes - the point in time in minutes since the unix epoch
+ * @param {string} [timeZone] - the IANA time zone. Defaults to the local time zone.
+ * @returns {number} - the start of the day in minutes since the unix epoch
+ */
+function startOfDay(minutes, timeZone) {
+    const offset = timeZoneOffset(minutes, timeZone);
+    const midnight = Math.floor((minutes + offset) / 1440) * 1440; // On the wall clock
+    return midnight - timeZoneOffset(midnight - offset, timeZone); // The offset at midnight differs on days on which the clock changes
+}
+
+/**
+ * Converts a point in time into the date and time on the wall clock of a time zone.
+ * @private
+ * @param {number} minutes - the point in time in minutes since the unix epoch
+ * @param {string} [timeZone] - the IANA time zone. Defaults to the local time zone.
+ * @returns {Date} - a Date whose UTC fields are the local year, month, day, weekday and time
+ */
+function wallClock(minutes, timeZone) {
+    return new Date((minutes + timeZoneOffset(minutes, timeZone)) * 60000);
+}
+
+/**
+ * Finds all day boundaries or multiples of a number of minutes between two points in time.
+ * @private
+ * @param {number} from - the start in minutes
+ * @param {number} to - the end in minutes
+ * @param {'day' | number} step - which boundaries to find. Either the start of each day or multiples of a number of minutes (e.g. 60 for each hour).
+ * @param {boolean} absolute - whether from and to are minutes since the unix epoch. Boundaries are then calculated in local time.
+ * @param {string} [timeZone] - the IANA time zone for absolute times. Defaults to the local time zone.
+ * @returns {number[]} - the boundaries in minutes (excluding from and to)
+ */
+function timeBoundaries(from, to, step, absolute, timeZone) {
+    const size = step === "day" ? 1440 : step;
+    const boundaries = [];
+
+    if (!absolute) {
+        for (let t = Math.floor(from / size) * size + size; t < to; t += size) {
+            boundaries.push(t);
+        }
+        return boundaries;
+    }
+
+    // Align the boundaries to the local time (the offset changes with daylight saving time)
+    let t = from;
+    while (true) {
+        const local = Math.floor((t + timeZoneOffset(t, timeZone)) / size) * size + size;
+        let next = local - timeZoneOffset(t, timeZone);
+        const corrected = local - timeZoneOffset(next, timeZone);
+        if (corrected > t) {
+            next = corrected;
+        }
+
+        if (next >= to) {
+            break;
+        }
+        boundaries.push(next);
+        t = next;
+    }
+    return boundaries;
+}
+
+/**
+ * Picks the smallest readable interval for labels on a time axis.
+ * @private
+ * @param {number} range - the visible range in minutes
+ * @param {number} size - the size of the axis in px
+ * @param {number} minSpacing - the minimum distance between two labels in px
+ * @returns {number} - the interval in minutes
+ */
+function niceTimeInterval(range, size, minSpacing) {
+    const intervals = [1, 5, 10, 15, 30, 60, 120, 180, 240, 360, 720, 1440];
+    return intervals.find(i => i / range * size >= minSpacing) || 1440;
+}
+
+/**
+ * Picks the smallest readable interval (1, 2 or 5 × 10ⁿ) for labels on a value axis.
+ * @private
+ * @param {number} max - the largest value on the axis
+ * @param {number} size - the size of the axis in px
+ * @param {number} minSpacing - the minimum distance between two labels in px
+ * @returns {number} - the interval
+ */
+function niceValueInterval(max, size, minSpacing) {
+    const minInterval = max * minSpacing / size;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(minInterval)));
+    return [1, 2, 5].map(f => f * magnitude).find(i => i >= minInterval) || 10 * magnitude;
+}
+
+/**
+ * Estimates the width of a text with 7.5px per char (for 14px).
+ * @private
+ * @param {string|number} text - the text
+ * @param {number} [size = 14] - the font size in px
+ * @returns {number} - the width in px
+ */
+function estimateTextWidth(text, size) {
+    return `${text}`.length * 7.5 * (size || 14) / 14;
+}
+
+let measureContext; // Canvas context for measuring texts, created on first use
+const textWidths = {}; // Cache of measured widths per font and text
+const liveCharts = new Set(); // Charts drawn in the browser that have not been destroyed, redrawn when fonts are loaded
+
+/**
+ * Measures the width of a text. Falls back to an estimate if no canvas is available. Renderers can replace the measurement.
+ * @private
+ * @param {string|number} text - the text
+ * @param {string} font - the font name
+ * @param {number} [size = 14] - the font size in px
+ * @param {string} [weight = 'normal'] - the font weight
+ * @returns {number} - the width in px
+ */
+function measureText(text, font, size, weight) {
+    text = `${text}`;
+    size = size || 14;
+    const key = `${weight || "normal"} ${size}px ${font}`;
+
+    if (Draw.renderer.measureText) {
+        return Draw.renderer.measureText(text, font, size, weight);
+    }
+
+    if (measureContext === undefined) {
+        measureContext = typeof document !== "undefined" ? document.createElement("canvas").getContext("2d") : null;
+
+        if (typeof document !== "undefined" && document.fonts && typeof document.fonts.addEventListener === "function") {
+            document.fonts.addEventListener("loadingdone", () => { // Widths measured with a fallback font are wrong
+                for (const font of Object.keys(textWidths)) {
+                    delete textWidths[font];
+                }
+                liveCharts.forEach(chart => {
+                    if (!chart.drawing) {
+                        chart.draw();
+                    }
+                });
+            });
+        }
+    }
+
+    const widths = textWidths[key] = textWidths[key] || {};
+    if (!(text in widths)) {
+        if (measureContext) {
+            measureContext.font = key;
+            widths[text] = measureContext.measureText(text).width;
+        } else {
+            widths[text] = estimateTextWidth(text, size);
+        }
+    }
+    return widths[text];
+}
+
+/**
+ * Shortens a text with an ellipsis so that it fits into a width.
+ * @private
+ * @param {string|number} text - the text
+ * @param {number} [maxWidth] - the maximum width in px. The text is not shortened if undefined.
+ * @param {string} font - the font name
+ * @param {number} [size = 14] - the font size in px
+ * @param {string} [weight = 'normal'] - the font weight
+ * @returns {string} - the (shortened) text
+ */
+function fitText(text, maxWidth, font, size, weight) {
+    text = `${text}`;
+    if (maxWidth === undefined || measureText(text, font, size, weight) <= maxWidth) {
+        return text;
+    }
+
+    // Find the longest beginning of the text that fits
+    let low = 0;
+    let high = text.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (measureText(text.slice(0, middle) + "…", font, size, weight) <= maxWidth) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return text.slice(0, low).trim() + "…";
+}
+
+/**
+ * Merges overlapping time slots so that no time is counted twice.
+ * @private
+ * @param {Object[]} slots - the time slots with start and end in minutes
+ * @returns {Object[]} - sorted, non-overlapping ranges with start and end in minutes
+ */
+function mergeSlots(slots) {
+    const merged = [];
+    for (const slot of slots.slice().sort((a, b) => a.start - b.start)) {
+        const last = merged[merged.length - 1];
+        if (last && slot.start <= last.end) {
+            last.end = Math.max(last.end, slot.end);
+        } else {
+            merged.push({ start: slot.start, end: slot.end });
+        }
+    }
+    return merged;
+}
+
+/**
+ * Collects the timelines of a hierarchy that hold values, i.e. all timelines that are not groups.
+ * @private
+ * @param {Object[]} timelines - the timelines, groups have children
+ * @returns {Object[]} - the timelines without children
+ */
+function leafTimelines(timelines) {
+    return [].concat.apply([], timelines.map(t => t.children ? leafTimelines(t.children) : [t]));
+}
+
+/**
+ * Lists the rows that are shown. Children of collapsed groups are left out.
+ * @private
+ * @param {Object[]} timelines - the timelines, groups have children
+ * @param {number} depth - the nesting depth of the timelines
+ * @returns {Object[]} - the rows (timeline, depth and whether the timeline is a group)
+ */
+function timelineRows(timelines, depth) {
+    const rows = [];
+    for (const timeline of timelines) {
+        const group = Array.isArray(timeline.children);
+        rows.push({ timeline, depth, group });
+
+        if (group && !timeline.collapsed) {
+            rows.push.apply(rows, timelineRows(timeline.children, depth + 1));
+        }
+    }
+    return rows;
+}
+
+/**
+ * Shortens the label of a row to the maximum width. Groups are marked with whether they are collapsed.
+ * @private
+ * @param {Object} row - the row (timeline, depth and whether the timeline is a group)
+ * @param {number} maxWidth - the maximum width in px
+ * @param {string} font - the font
+ * @param {string} weight - the font weight of the label
+ * @returns {string} - the label
+ */
+function rowLabel(row, maxWidth, font, weight) {
+    const label = fitText(row.timeline.label || "", maxWidth, font, 14, weight);
+    return row.group ? `${row.timeline.collapsed ? "▸" : "▾"} ${label}` : label;
+}
+
+/**
+ * Calculates the width needed for the labels of the rows including their indentation
+ * @private
+ * @param {string[]} labels - the labels of the rows
+ * @param {Object[]} rows - the rows
+ * @param {string} font - the font
+ * @param {number} indent - the indentation per level in px
+ * @param {Function} weight - returns the font weight of the label of a row. Receives the row.
+ * @param {'start' | 'middle'} anchor - whether the labels start after the indentation or are centered in the space right of it
+ * @returns {number} - the width in px
+ */
+function rowLabelWidth(labels, rows, font, indent, weight, anchor) {
+    const padding = anchor === "middle" ? 40 : 20;
+    return labels.reduce((p, c, i) => Math.max(p, c.length > 0 ? padding + rows[i].depth * indent + measureText(c, font, 14, weight(rows[i])) : 0), 0);
+}
+
+/**
+ * Calculates the x-coordinate of the label of a row
+ * @private
+ * @param {Object} row - the row
+ * @param {number} labelWidth - the width of the labels (see rowLabelWidth)
+ * @param {number} indent - the indentation per level
+ * @param {'start' | 'middle'} anchor - whether the label starts after the indentation or is centered in the space right of it
+ * @returns {number} - the x-coordinate for the text anchor
+ */
+function rowLabelX(row, labelWidth, indent, anchor) {
+    return anchor === "middle" ? 0.5 * (labelWidth + row.depth * indent) : row.depth * indent;
+}
+
+/**
+ * Places rows of different heights below the scale
+ * @private
+ * @param {number[]} rowHeights - the height of each row in px
+ * @param {'variable' | number} distance - the distance between the rows in px or 'variable' to fill the available space
+ * @param {number} available - the height of the space for the rows in px
+ * @param {number} scaleHeight - the height of the scale in px
+ * @returns {Object} - the distance between the rows (lineSpacing), the top of the scale (scaleStart) and the top of each row (rowTops)
+ */
+function rowLayout(rowHeights, distance, available, scaleHeight) {
+    const rowsHeight = rowHeights.reduce((p, c) => p + c, 0);
+    const lineSpacing = distance === 'variable' ? (available - rowsHeight) / rowHeights.length : distance;
+    const scaleStart = Math.max(0.5 * lineSpacing - scaleHeight, 0);
+    const rowTops = rowHeights.map((h, i) => scaleStart + scaleHeight + i * lineSpacing + rowHeights.slice(0, i).reduce((p, c) => p + c, 0));
+    return { lineSpacing, scaleStart, rowTops };
+}
+
+/**
+ * Assigns overlapping time slots to sub-lanes so that no two slots in a lane overlap.
+ * Sets the lane property of each slot.
+ * @private
+ * @param {Object[]} slots - the time slots with start and end in minutes
+ * @returns {number} - the number of lanes needed (at least 1)
+ */
+function packLanes(slots) {
+    const laneEnds = []; // End of the last slot in each lane
+
+    for (const slot of slots.slice().sort((a, b) => a.start - b.start || b.end - a.end)) {
+        let lane = laneEnds.findIndex(end => end <= slot.start);
+        if (lane === -1) {
+            lane = laneEnds.length;
+        }
+        laneEnds[lane] = slot.end;
+        slot.lane = lane;
+    }
+
+    return Math.max(1, laneEnds.length);
+}
+
 /**
  * Generates coordinates for arcs based on the center position, the radius and the angle
  * @param {number} centerX - the x-coordinate of the center
@@ -97,6 +464,31 @@ function describeArc(x, y, radiusX, radiusY, startAngle, endAngle, outerArc) {
     return [d, start, end];
 }
 
+/**
+ * Creates the svg path string for a part of a ring (use with fill-rule evenodd)
+ * @private
+ * @param {number} x - the x-coordinate of the center
+ * @param {number} y - the y-coordinate of the center
+ * @param {number} innerRadius - the inner radius
+ * @param {number} outerRadius - the outer radius
+ * @param {number} startAngle - the angle at which the part starts (0 at the top, clockwise)
+ * @param {number} endAngle - the angle at which the part ends
+ * @returns {string} - the svg path string
+ */
+function describeRing(x, y, innerRadius, outerRadius, startAngle, endAngle) {
+    if (endAngle - startAngle >= 360) { // Two full circles
+        const circle = r => `M ${x - r},${y} a ${r},${r} 0 1 0 ${2 * r},0 a ${r},${r} 0 1 0 ${-2 * r},0 z`;
+        return `${circle(outerRadius)} ${circle(innerRadius)}`;
+    }
+
+    const [outer] = describeArc(x, y, outerRadius, outerRadius, startAngle, endAngle, 0);
+    const innerStart = polarToCartesian(x, y, innerRadius, innerRadius, startAngle);
+    const innerEnd = polarToCartesian(x, y, innerRadius, innerRadius, endAngle);
+    const largeArcFlag = endAngle - startAngle <= 180 ? "0" : "1";
+
+    return `${outer} L ${innerStart.x} ${innerStart.y} A ${innerRadius} ${innerRadius} 0 ${largeArcFlag} 1 ${innerEnd.x} ${innerEnd.y} z`;
+}
+
 /**
  * Creates the svg path string for the top circle/arc of a bar
  * @param {number} x - the x-coordinate of the center
@@ -301,192 +693,4955 @@ function createHorizontalBar(x, y, radiusX, radiusY, widthDelta, widthOld, width
     return d;
 }
 
-class Draw {
-    /**
-     * Creates an svg object.
-     * @private
-     * @param {number|string} width - width of the svg
-     * @param {number|string} height - height of the svg
-     * @param {number} vbWidth - width of the viewbox
-     * @param {number} vbHeight - height of the viewbox
-     * @param {Object} [options] - additional attributes for the svg
-     * @returns {Object} - svg object
-     */
-    static svg(width, height, vbWidth, vbHeight, options) {
-        const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg")
-        setAttributes(svg, {
-            width,
-            height,
-            viewBox: "0 0 " + vbWidth + " " + vbHeight,
-            preserveAspectRatio: "none"
-        });
-        setAttributes(svg, options || {});
-        return svg;
+/**
+ * Reads a file as a data url so that it can be embedded into an exported chart.
+ * @private
+ * @param {string} url - the url of the file
+ * @returns {Promise<string>} - the data url or the original url if the file could not be loaded
+ */
+function toDataURL(url) {
+    return fetch(url)
+        .then(response => response.blob())
+        .then(blob => new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => resolve(url);
+            reader.readAsDataURL(blob);
+        }))
+        .catch(() => url);
+}
+
+/**
+ * Collects the @font-face rules of the page for a font.
+ * @private
+ * @param {string} font - the name of the font
+ * @returns {Promise<Object[]>} - the css text of each rule together with the url that relative urls are based on
+ */
+function fontFaceRules(font) {
+    const family = font.replace(/["']/g, "").trim().toLowerCase();
+    const matches = text => (/font-family:\s*["']?([^;"'}]+)/i.exec(text) || [])[1];
+    const rules = [];
+
+    const readSheet = (sheet, base) => {
+        let cssRules;
+        try {
+            cssRules = sheet.cssRules;
+        } catch (e) { // Cross-origin stylesheets can not be read, so they are loaded again (e.g. Google Fonts allows this)
+            return fetch(sheet.href)
+                .then(response => response.text())
+                .then(text => {
+                    for (const rule of text.match(/@font-face\s*{[^}]*}/g) || []) {
+                        rules.push({ text: rule, base: sheet.href });
+                    }
+                })
+                .catch(() => {});
+        }
+
+        const imports = [];
+        for (const rule of Array.from(cssRules)) {
+            if (rule.styleSheet) { // @import
+                imports.push(readSheet(rule.styleSheet, rule.styleSheet.href || base));
+            } else if (/^@font-face/i.test(rule.cssText)) {
+                rules.push({ text: rule.cssText, base });
+            }
+        }
+        return Promise.all(imports);
+    };
+
+    return Promise.all(Array.from(document.styleSheets).map(sheet => readSheet(sheet, sheet.href || document.baseURI)))
+        .then(() => rules.filter(rule => (matches(rule.text) || "").trim().toLowerCase() === family));
+}
+
+/**
+ * Checks whether a text contains a character of the unicode-range of a @font-face rule.
+ * @private
+ * @param {string} rule - the css text of the rule
+ * @param {string} text - the text
+ * @returns {boolean} - true if the rule has no unicode-range or a character is in it
+ */
+function inUnicodeRange(rule, text) {
+    const range = /unicode-range:\s*([^;}]+)/i.exec(rule);
+    if (!range) {
+        return true;
     }
 
-    /**
-     * Draws an svg rectangle.
-     * @private
-     * @param {number} x - x-coordinate
-     * @param {number} y - y-coordinate
-     * @param {number} width - width of the rectangle
-     * @param {number} height - height of the rectangle
-     * @param {string} color - the fill color of the rectangle
-     * @param {Object} [options] additional attributes for the rectangle
-     * @returns {Object} - svg rectangle
-     */
-    static rect(x, y, width, height, color, options) {
-        const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect")
-        setAttributes(rect, {
-            width,
-            height,
-            x,
-            y,
-            fill: color
-        });
-        setAttributes(rect, options || {});
-        return rect;
+    const codes = Array.from(text).map(c => c.codePointAt(0));
+    return range[1].split(",").some(part => {
+        const [from, to] = part.trim().replace(/^U\+/i, "").split("-");
+        const start = parseInt(from.replace(/\?/g, "0"), 16);
+        const end = parseInt((to || from).replace(/\?/g, "f"), 16);
+        return codes.some(code => code >= start && code <= end);
+    });
+}
+
+/**
+ * Embeds the fonts of the page that are needed by a text into css.
+ * @private
+ * @param {string} font - the name of the font
+ * @param {string} text - the text that is displayed with the font
+ * @returns {Promise<string>} - @font-face rules with the font files as data urls
+ */
+function embedFont(font, text) {
+    return fontFaceRules(font).then(rules => Promise.all(rules
+        .filter(rule => inUnicodeRange(rule.text, text))
+        .map(rule => {
+            const urls = [];
+            rule.text.replace(/url\(\s*["']?([^"')]+)["']?\s*\)/g, (m, url) => urls.push(url));
+            return Promise.all(urls.map(url => /^data:/.test(url) ? url : toDataURL(new URL(url, rule.base).href)))
+                .then(dataURLs => {
+                    let i = 0;
+                    return rule.text.replace(/url\(\s*["']?([^"')]+)["']?\s*\)/g, () => `url("${dataURLs[i++]}")`);
+                });
+        })
+    )).then(rules => rules.join("\n"));
+}
+
+/**
+ * Calculates where the viewbox of a chart is drawn. Resolves the calc() size and the stretching of the viewbox into px.
+ * @private
+ * @param {Object} svg - the svg of the chart
+ * @param {Object} container - the container of the chart
+ * @returns {Object} - the size of the container, the padding, the size inside the padding and the matrix from the viewbox to px
+ */
+function viewBoxLayout(svg, container) {
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    const padding = {
+        top: parseFloat(svg.style.paddingTop) || 0,
+        right: parseFloat(svg.style.paddingRight) || 0,
+        bottom: parseFloat(svg.style.paddingBottom) || 0,
+        left: parseFloat(svg.style.paddingLeft) || 0
+    };
+    const size = (value, full) => /calc/.test(value) ? full - parseFloat(/- ([\d.]+)px/.exec(value)[1]) : parseFloat(value); // calc(100% - padding)
+    const innerWidth = size(svg.getAttribute("width"), width);
+    const innerHeight = size(svg.getAttribute("height"), height);
+
+    // Map the viewbox onto the size of the chart
+    const [vx, vy, vw, vh] = svg.getAttribute("viewBox").split(" ").map(parseFloat);
+    const [align, meetOrSlice] = (svg.getAttribute("preserveAspectRatio") || "xMidYMid").split(" ");
+    let scaleX = innerWidth / vw;
+    let scaleY = innerHeight / vh;
+    let x = 0;
+    let y = 0;
+    if (align !== "none") {
+        scaleX = scaleY = meetOrSlice === "slice" ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+        const position = (size, content, value) => value === "Min" ? 0 : value === "Mid" ? (size - content) / 2 : size - content;
+        x = position(innerWidth, vw * scaleX, align.slice(1, 4));
+        y = position(innerHeight, vh * scaleY, align.slice(5, 8));
     }
 
-    /**
-     * Draws an svg line.
-     * @private
-     * @param {number} x1 - x-coordinate where the line begins
-     * @param {number} y1 - y-coordinate where the line begins
-     * @param {number} x2 - x-coordinate where the line ends
-     * @param {number} y2 - y-coordinate where the line begins
-     * @param {string} color - color of the line
-     * @param {number} width - width of the line
-     * @param {Object} [options] - additional attributes for the line
-     * @returns {Object} - svg line
-     */
-    static line(x1, y1, x2, y2, color, width, options) {
-        const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
-        setAttributes(line, {
-            x1,
-            y1,
-            x2,
-            y2,
-            stroke: color,
-            "stroke-width": width
-        });
-        setAttributes(line, options || {});
-        return line;
+    return { width, height, padding, innerWidth, innerHeight, matrix: [scaleX, 0, 0, scaleY, padding.left + x - vx * scaleX, padding.top + y - vy * scaleY] };
+}
+
+/**
+ * Creates a standalone copy of a chart. The size of the container becomes a fixed size in px and the stretching of the viewbox becomes a transformation.
+ * @private
+ * @param {Object} svg - the svg of the chart
+ * @param {Object} container - the container of the chart
+ * @returns {Object} - the copy
+ * @throws Will throw an error if the chart has not been drawn.
+ */
+function standaloneSVG(svg, container) {
+    if (svg === undefined) {
+        throw new Error("The chart has not been drawn yet");
     }
 
-    /**
-     * Draws an svg path.
-     * @private
+    const { width, height, padding, innerWidth, innerHeight, matrix } = viewBoxLayout(svg, container);
+
+    const copy = Draw.svg(width, height, width, height, { preserveAspectRatio: "xMinYMin" });
+    const clip = Draw.renderer.createElement("clipPath");
+    clip.setAttribute("id", "time-chart-clip");
+    clip.appendChild(Draw.rect(padding.left, padding.top, innerWidth, innerHeight, "none"));
+    copy.appendChild(clip);
+
+    const content = Draw.group();
+    content.setAttribute("clip-path", "url(#time-chart-clip)");
+    const transformed = Draw.group();
+    transformed.setAttribute("transform", `translate(${matrix[4]}, ${matrix[5]}) scale(${matrix[0]}, ${matrix[3]})`);
+    for (const child of Array.from(svg.childNodes)) {
+        transformed.appendChild(child.cloneNode(true));
+    }
+    content.appendChild(transformed);
+    copy.appendChild(content);
+
+    // Css transforms (e.g. of draggable charts) are not supported by all programs
+    const convert = element => {
+        const transform = element.style && element.style.transform;
+        if (transform) {
+            const translateX = /translateX\(([-\d.]+)px\)/.exec(transform);
+            const translateY = /translateY\(([-\d.]+)px\)/.exec(transform);
+            element.style.transform = "";
+            element.setAttribute("transform", `translate(${translateX ? translateX[1] : 0}, ${translateY ? translateY[1] : 0}) ${element.getAttribute("transform") || ""}`.trim());
+        }
+        Array.from(element.childNodes).filter(c => c.nodeType === 1).forEach(convert);
+    };
+    convert(copy);
+
+    return copy;
+}
+
+/**
+ * Exports a chart as a standalone svg with embedded fonts.
+ * @private
+ * @param {Object} svg - the svg of the chart
+ * @param {Object} container - the container of the chart
+ * @param {string} font - the font of the chart
+ * @returns {Promise<string>} - the svg as text
+ */
+function exportSVG(svg, container, font) {
+    const renderer = svg instanceof VirtualElement ? virtualRenderer : Draw.renderer; // Charts on a canvas are exported from their virtual dom
+    let copy;
+    try {
+        copy = withRenderer(renderer, () => standaloneSVG(svg, container));
+    } catch (e) {
+        return Promise.reject(e);
+    }
+
+    return embedFont(font, copy.textContent).then(css => withRenderer(renderer, () => {
+        if (css !== "") {
+            const style = Draw.renderer.createElement("style");
+            style.appendChild(Draw.renderer.createTextNode(css));
+            copy.insertBefore(style, copy.firstChild);
+        }
+        return Draw.renderer.serialize(copy);
+    }));
+}
+
+/**
+ * Renders an exported chart into a png.
+ * @private
+ * @param {string} svg - the exported svg
+ * @param {number} width - the width of the chart in px
+ * @param {number} height - the height of the chart in px
+ * @param {number} scale - the number of pixels per px
+ * @returns {Promise<Blob>} - the png
+ */
+function renderPNG(svg, width, height, scale) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement("canvas");
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("The chart could not be converted into a png")), "image/png");
+        };
+        image.onerror = () => reject(new Error("The chart could not be converted into a png"));
+        image.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg);
+    });
+}
+
+/**
+ * Lets the user download a chart as svg or png.
+ * @private
+ * @param {Object} chart - the chart
+ * @param {string} [filename = 'chart'] - the name of the file. The extension is added if missing.
+ * @param {'svg' | 'png'} [format = 'svg'] - the format of the file
+ * @returns {Promise} - resolves after the download started
+ */
+function downloadChart(chart, filename, format) {
+    format = format || "svg";
+    filename = filename || "chart";
+    if (!new RegExp(`\\.${format}$`, "i").test(filename)) {
+        filename += `.${format}`;
+    }
+
+    const file = format === "png" ? chart.toPNGBlob(window.devicePixelRatio || 1) : chart.toSVGString().then(svg => new Blob([svg], { type: "image/svg+xml" }));
+    return file.then(blob => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    });
+}
+
+/**
+ * Converts a style property from camel case to the css name, e.g. paddingTop to padding-top.
+ * @private
+ * @param {string} property - the property
+ * @returns {string} - the css name
+ */
+function cssName(property) {
+    return property.replace(/[A-Z]/g, c => "-" + c.toLowerCase());
+}
+
+/**
+ * Attributes that change the outline of an element of the virtual dom.
+ * @private
+ */
+const geometryAttributes = ["d", "x", "y", "width", "height", "rx", "ry", "x1", "y1", "x2", "y2", "cx", "cy", "r"];
+
+/**
+ * A text node of the virtual dom that is used to render charts without a browser.
+ * @private
+ */
+class VirtualText {
+    /**
+     * Creates a text node.
+     * @private
+     * @param {string} text - the text
+     */
+    constructor(text) {
+        this.nodeType = 3;
+        this.data = `${text}`;
+        this.parentNode = null;
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    set textContent(text) {
+        this.data = `${text}`;
+        if (this.parentNode) {
+            this.parentNode.changed();
+        }
+    }
+
+    /**
+     * Copies the node.
+     * @private
+     * @returns {VirtualText} - the copy
+     */
+    cloneNode() {
+        return new VirtualText(this.textContent);
+    }
+}
+
+/**
+ * An element of the virtual dom that is used to render charts without a browser. Supports the parts of the dom api that are used to draw charts.
+ * @private
+ */
+class VirtualElement {
+    /**
+     * Creates an element.
+     * @private
+     * @param {string} tagName - the name of the element, e.g. rect
+     * @param {number} [width = 0] - the width of the element if it is a container
+     * @param {number} [height = 0] - the height of the element if it is a container
+     */
+    constructor(tagName, width, height) {
+        this.nodeType = 1;
+        this.tagName = tagName;
+        this.attributes = {};
+        this.declarations = {}; // Inline styles
+        this.childNodes = [];
+        this.parentNode = null;
+        this.listeners = {};
+        this.width = width || 0;
+        this.height = height || 0;
+
+        const unitless = ["opacity", "z-index", "font-weight", "flex-grow", "line-height"];
+        this.style = new Proxy({}, {
+            get: (target, property) => this.declarations[cssName(`${property}`)] || "",
+            set: (target, property, value) => {
+                const name = cssName(`${property}`);
+                if (value === "" || value === null || value === undefined) {
+                    delete this.declarations[name];
+                } else if (typeof value !== "number" || unitless.includes(name)) {
+                    this.declarations[name] = `${value}`;
+                } else if (value === 0) {
+                    this.declarations[name] = "0px";
+                } // Like browsers, other lengths without unit are ignored
+
+                if (!("style" in this.attributes)) {
+                    this.attributes.style = "";
+                }
+                this.changed("style");
+                return true;
+            }
+        });
+
+        this.classList = {
+            add: (...names) => {
+                const classes = (this.attributes.class || "").split(" ").filter(c => c !== "");
+                this.attributes.class = classes.concat(names.filter(n => !classes.includes(n))).join(" ");
+            },
+            contains: name => (this.attributes.class || "").split(" ").includes(name)
+        };
+    }
+
+    get clientWidth() {
+        return parseFloat(this.declarations.width) || this.width;
+    }
+
+    get clientHeight() {
+        return parseFloat(this.declarations.height) || this.height;
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    get lastChild() {
+        return this.childNodes[this.childNodes.length - 1] || null;
+    }
+
+    get children() {
+        return this.childNodes.filter(c => c.nodeType === 1);
+    }
+
+    get textContent() {
+        return this.childNodes.map(c => c.textContent).join("");
+    }
+
+    set textContent(text) {
+        this.childNodes.forEach(c => c.parentNode = null);
+        this.childNodes = [new VirtualText(text)];
+        this.childNodes[0].parentNode = this;
+        this.changed();
+    }
+
+    /**
+     * Returns the outermost element.
+     * @private
+     * @returns {VirtualElement} - the root
+     */
+    root() {
+        let root = this;
+        while (root.parentNode) {
+            root = root.parentNode;
+        }
+        return root;
+    }
+
+    /**
+     * Tells the scene (e.g. a canvas) in which the element is drawn that it has to be redrawn.
+     * @private
+     * @param {string} [attribute] - the attribute that changed. The cached outline of the element is kept unless it depends on the attribute.
+     */
+    changed(attribute) {
+        if (attribute === undefined || geometryAttributes.includes(attribute)) {
+            this.geometry = undefined;
+        }
+
+        const root = this.root();
+        if (root.scene) {
+            root.scene.invalidate();
+        }
+    }
+
+    /**
+     * Sets an attribute.
+     * @private
+     * @param {string} name - the name of the attribute
+     * @param {*} value - the value
+     */
+    setAttribute(name, value) {
+        if (name === "style") {
+            this.declarations = {};
+            for (const declaration of `${value}`.split(";")) {
+                const index = declaration.indexOf(":");
+                if (index > 0) {
+                    this.declarations[declaration.slice(0, index).trim()] = declaration.slice(index + 1).trim();
+                }
+            }
+        }
+        this.attributes[name] = `${value}`;
+        this.changed(name);
+    }
+
+    /**
+     * Reads an attribute.
+     * @private
+     * @param {string} name - the name of the attribute
+     * @returns {string} - the value or null if the attribute is not set
+     */
+    getAttribute(name) {
+        if (!(name in this.attributes)) {
+            return null;
+        }
+        return name === "style" ? Object.keys(this.declarations).map(k => `${k}: ${this.declarations[k]};`).join(" ") : this.attributes[name];
+    }
+
+    /**
+     * Removes an attribute.
+     * @private
+     * @param {string} name - the name of the attribute
+     */
+    removeAttribute(name) {
+        delete this.attributes[name];
+        if (name === "style") {
+            this.declarations = {};
+        }
+        this.changed(name);
+    }
+
+    /**
+     * Adds a child at the end.
+     * @private
+     * @param {VirtualElement|VirtualText} child - the child
+     * @returns {VirtualElement|VirtualText} - the child
+     */
+    appendChild(child) {
+        return this.insertBefore(child, null);
+    }
+
+    /**
+     * Adds a child in front of another child.
+     * @private
+     * @param {VirtualElement|VirtualText} child - the child
+     * @param {VirtualElement|VirtualText} [reference] - the child in front of which it is added. Added at the end if null.
+     * @returns {VirtualElement|VirtualText} - the child
+     */
+    insertBefore(child, reference) {
+        if (child.parentNode) {
+            child.parentNode.removeChild(child);
+        }
+        const index = this.childNodes.indexOf(reference);
+        this.childNodes.splice(index < 0 ? this.childNodes.length : index, 0, child);
+        child.parentNode = this;
+        this.changed();
+        return child;
+    }
+
+    /**
+     * Replaces a child with another element.
+     * @private
+     * @param {VirtualElement|VirtualText} child - the new child
+     * @param {VirtualElement|VirtualText} old - the child that is replaced
+     * @returns {VirtualElement|VirtualText} - the old child
+     */
+    replaceChild(child, old) {
+        this.insertBefore(child, old);
+        return this.removeChild(old);
+    }
+
+    /**
+     * Removes a child.
+     * @private
+     * @param {VirtualElement|VirtualText} child - the child
+     * @returns {VirtualElement|VirtualText} - the child
+     */
+    removeChild(child) {
+        this.childNodes = this.childNodes.filter(c => c !== child);
+        child.parentNode = null;
+        this.changed();
+        return child;
+    }
+
+    /**
+     * Copies the element.
+     * @private
+     * @param {boolean} [deep = false] - whether the children are copied as well
+     * @returns {VirtualElement} - the copy
+     */
+    cloneNode(deep) {
+        const copy = new VirtualElement(this.tagName, this.width, this.height);
+        Object.assign(copy.attributes, this.attributes);
+        Object.assign(copy.declarations, this.declarations);
+        if (deep) {
+            this.childNodes.forEach(c => copy.appendChild(c.cloneNode(true)));
+        }
+        return copy;
+    }
+
+    /**
+     * Registers an event listener. The listeners are kept so that other renderers can call them.
+     * @private
+     * @param {string} type - the type of the event
+     * @param {Function} listener - the listener
+     */
+    addEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).concat(listener);
+    }
+
+    /**
+     * Removes an event listener.
+     * @private
+     * @param {string} type - the type of the event
+     * @param {Function} listener - the listener
+     */
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+    }
+
+    /**
+     * Returns the position of the element on the page. Elements that are not drawn in a scene (e.g. a canvas) have no layout and are at 0.
+     * @private
+     * @returns {Object} - the position
+     */
+    getBoundingClientRect() {
+        const root = this.root();
+        return root.scene ? root.scene.bounds(this) : { x: 0, y: 0, left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 };
+    }
+}
+
+/**
+ * Escapes a text for xml.
+ * @private
+ * @param {string} text - the text
+ * @param {boolean} [attribute = false] - whether the text is the value of an attribute
+ * @returns {string} - the escaped text
+ */
+function escapeXML(text, attribute) {
+    text = `${text}`.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    return attribute ? text.replace(/"/g, "&quot;") : text;
+}
+
+/**
+ * Converts an element of the virtual dom into svg markup in the same way as the XMLSerializer of browsers.
+ * @private
+ * @param {VirtualElement|VirtualText} node - the element
+ * @param {boolean} [root = true] - whether the element is the root and needs the namespace
+ * @returns {string} - the markup
+ */
+function serializeVirtual(node, root) {
+    if (node.nodeType === 3) {
+        return escapeXML(node.textContent);
+    }
+
+    const attributes = root === false ? [] : [' xmlns="http://www.w3.org/2000/svg"'];
+    for (const name of Object.keys(node.attributes)) {
+        attributes.push(` ${name}="${escapeXML(node.getAttribute(name), true)}"`);
+    }
+
+    if (node.childNodes.length === 0) {
+        return `<${node.tagName}${attributes.join("")}/>`;
+    }
+    return `<${node.tagName}${attributes.join("")}>${node.childNodes.map(c => serializeVirtual(c, false)).join("")}</${node.tagName}>`;
+}
+
+/**
+ * Renderer that draws into the dom of the page.
+ * @private
+ */
+const domRenderer = {
+    live: true, // Charts listen to resizes and user input and update themselves
+    container: element => {
+        require('./index.css'); // The styles of the tooltips are added on first use so that the module can be loaded without a dom
+        return typeof element === "string" ? document.querySelector(element) : element;
+    },
+    createElement: name => document.createElementNS("http://www.w3.org/2000/svg", name),
+    createTextNode: text => document.createTextNode(text),
+    serialize: element => new XMLSerializer().serializeToString(element),
+    measureText: undefined // Measured with a canvas
+};
+
+/**
+ * Renderer that draws into a virtual dom, e.g. to render charts in Node.
+ * @private
+ */
+const virtualRenderer = {
+    live: false,
+    container: element => element, // The virtual container is passed instead of a selector
+    createElement: name => new VirtualElement(name),
+    createTextNode: text => new VirtualText(text),
+    serialize: element => serializeVirtual(element),
+    measureText: undefined // Set to the measureText function that renderToString requires
+};
+
+/**
+ * Multiplies two affine matrices [a, b, c, d, e, f].
+ * @private
+ * @param {number[]} m - the first matrix
+ * @param {number[]} n - the second matrix
+ * @returns {number[]} - the product
+ */
+function multiplyMatrix(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
+
+/**
+ * Reads the transformation of an element from its transform attribute and css translations.
+ * @private
+ * @param {VirtualElement} element - the element
+ * @returns {number[]} - the matrix
+ */
+function elementMatrix(element) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    const css = element.declarations.transform || "";
+    const translateX = /translateX\(([-\d.e]+)px\)/.exec(css);
+    const translateY = /translateY\(([-\d.e]+)px\)/.exec(css);
+    if (translateX || translateY) {
+        matrix = [1, 0, 0, 1, translateX ? parseFloat(translateX[1]) : 0, translateY ? parseFloat(translateY[1]) : 0];
+    }
+
+    const transform = element.getAttribute("transform") || "";
+    const pattern = /(\w+)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = pattern.exec(transform))) {
+        const args = match[2].trim().split(/[\s,]+/).map(parseFloat);
+        if (match[1] === "translate") {
+            matrix = multiplyMatrix(matrix, [1, 0, 0, 1, args[0], args[1] || 0]);
+        } else if (match[1] === "scale") {
+            matrix = multiplyMatrix(matrix, [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0]);
+        } else if (match[1] === "rotate") {
+            const angle = args[0] * Math.PI / 180;
+            const [cx, cy] = [args[1] || 0, args[2] || 0];
+            matrix = multiplyMatrix(matrix, [1, 0, 0, 1, cx, cy]);
+            matrix = multiplyMatrix(matrix, [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0]);
+            matrix = multiplyMatrix(matrix, [1, 0, 0, 1, -cx, -cy]);
+        } else if (match[1] === "matrix") {
+            matrix = multiplyMatrix(matrix, args);
+        }
+    }
+    return matrix;
+}
+
+/**
+ * Samples points along an svg arc, e.g. to calculate the bounding box of a path.
+ * @private
+ * @param {number} x1 - x-coordinate where the arc starts
+ * @param {number} y1 - y-coordinate where the arc starts
+ * @param {number} rx - x-radius
+ * @param {number} ry - y-radius
+ * @param {number} rotation - rotation of the ellipse in degrees
+ * @param {number} largeArc - the large arc flag
+ * @param {number} sweep - the sweep flag
+ * @param {number} x2 - x-coordinate where the arc ends
+ * @param {number} y2 - y-coordinate where the arc ends
+ * @returns {number[][]} - the points
+ */
+function arcPoints(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+
+    if (rx === 0 || ry === 0 || (x1p === 0 && y1p === 0)) {
+        return [[x2, y2]];
+    }
+
+    // Radii that are too small are scaled up (see the svg specification, appendix F.6)
+    const lambda = x1p * x1p / (rx * rx) + y1p * y1p / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const coefficient = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / (rx * rx * y1p * y1p + ry * ry * x1p * x1p)));
+    const cxp = coefficient * rx * y1p / ry;
+    const cyp = -coefficient * ry * x1p / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const start = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) {
+        delta -= 2 * Math.PI;
+    } else if (sweep && delta < 0) {
+        delta += 2 * Math.PI;
+    }
+
+    const points = [];
+    for (let i = 1; i <= 16; i++) {
+        const t = start + delta * i / 16;
+        points.push([cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin, cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos]);
+    }
+    return points;
+}
+
+/**
+ * Calculates points that enclose an svg path. Control points of curves are included, so the box can be slightly too large.
+ * @private
+ * @param {string} d - the path
+ * @returns {number[][]} - the points
+ */
+function pathPoints(d) {
+    const tokens = d.match(/[MmLlHhVvCcSsQqTtAaZz]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) || [];
+    const points = [];
+    const sizes = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    let command;
+    let i = 0;
+
+    while (i < tokens.length) {
+        if (/[a-z]/i.test(tokens[i])) {
+            command = tokens[i++];
+        } else if (command === "M") { // Coordinates after a move are lines
+            command = "L";
+        } else if (command === "m") {
+            command = "l";
+        }
+
+        const upper = command.toUpperCase();
+        const relative = command !== upper;
+        const args = tokens.slice(i, i + sizes[upper]).map(parseFloat);
+        i += sizes[upper];
+
+        if (upper === "Z") {
+            [x, y] = [startX, startY];
+            continue;
+        } else if (args.length < sizes[upper] || args.some(isNaN)) {
+            break;
+        }
+
+        const px = value => relative ? x + value : value;
+        const py = value => relative ? y + value : value;
+        if (upper === "H") {
+            x = px(args[0]);
+        } else if (upper === "V") {
+            y = py(args[0]);
+        } else if (upper === "A") {
+            const [endX, endY] = [px(args[5]), py(args[6])];
+            points.push(...arcPoints(x, y, args[0], args[1], args[2], args[3], args[4], endX, endY));
+            [x, y] = [endX, endY];
+        } else {
+            for (let j = 0; j < args.length; j += 2) {
+                points.push([px(args[j]), py(args[j + 1])]);
+            }
+            [x, y] = [px(args[args.length - 2]), py(args[args.length - 1])];
+        }
+
+        if (upper === "M") {
+            [startX, startY] = [x, y];
+        }
+        points.push([x, y]);
+    }
+    return points;
+}
+
+/**
+ * Converts a rectangle into a path, including rounded corners.
+ * @private
+ * @param {VirtualElement} element - the rectangle
+ * @returns {string} - the path
+ */
+function rectPath(element) {
+    const number = name => parseFloat(element.getAttribute(name)) || 0;
+    const [x, y, width, height] = [number("x"), number("y"), Math.max(0, number("width")), Math.max(0, number("height"))];
+    let rx = element.getAttribute("rx") !== null ? number("rx") : number("ry");
+    let ry = element.getAttribute("ry") !== null ? number("ry") : number("rx");
+    rx = Math.min(rx, width / 2);
+    ry = Math.min(ry, height / 2);
+
+    if (rx <= 0 || ry <= 0) {
+        return `M ${x} ${y} h ${width} v ${height} h ${-width} z`;
+    }
+    return `M ${x + rx} ${y} h ${width - 2 * rx} a ${rx} ${ry} 0 0 1 ${rx} ${ry} v ${height - 2 * ry} a ${rx} ${ry} 0 0 1 ${-rx} ${ry} h ${2 * rx - width} a ${rx} ${ry} 0 0 1 ${-rx} ${-ry} v ${2 * ry - height} a ${rx} ${ry} 0 0 1 ${rx} ${-ry} z`;
+}
+
+/**
+ * Builds the outline of a shape for painting and hit-testing. The outline is cached on the element until one of its geometry attributes changes, so that repaints do not parse the paths again.
+ * @private
+ * @param {VirtualElement} element - a rect, path, line or circle
+ * @returns {Object} - the path, the Path2D and the points that enclose the path
+ */
+function elementGeometry(element) {
+    if (element.geometry === undefined) {
+        const number = name => parseFloat(element.getAttribute(name)) || 0;
+        let path;
+        if (element.tagName === "rect") {
+            path = rectPath(element);
+        } else if (element.tagName === "path") {
+            path = element.getAttribute("d") || "";
+        } else if (element.tagName === "line") {
+            path = `M ${number("x1")} ${number("y1")} L ${number("x2")} ${number("y2")}`;
+        } else {
+            const [cx, cy, r] = ["cx", "cy", "r"].map(number);
+            path = `M ${cx - r} ${cy} a ${r} ${r} 0 1 0 ${2 * r} 0 a ${r} ${r} 0 1 0 ${-2 * r} 0 z`;
+        }
+        element.geometry = { path, shape: new Path2D(path), points: pathPoints(path) };
+    }
+    return element.geometry;
+}
+
+/**
+ * Calculates the box around points after they are transformed.
+ * @private
+ * @param {number[][]} points - the points
+ * @param {number[]} matrix - the transformation
+ * @param {number} [margin = 0] - added on all sides
+ * @returns {Object} - the box (left, top, right, bottom)
+ */
+function transformedBox(points, matrix, margin) {
+    const box = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+    for (const [x, y] of points) {
+        const px = matrix[0] * x + matrix[2] * y + matrix[4];
+        const py = matrix[1] * x + matrix[3] * y + matrix[5];
+        [box.left, box.top, box.right, box.bottom] = [Math.min(box.left, px), Math.min(box.top, py), Math.max(box.right, px), Math.max(box.bottom, py)];
+    }
+    margin = margin || 0;
+    return { left: box.left - margin, top: box.top - margin, right: box.right + margin, bottom: box.bottom + margin };
+}
+
+/**
+ * Draws the virtual dom of a chart onto its canvas and collects the shapes for hit-testing.
+ * @private
+ * @param {Object} scene - the scene of the canvas
+ */
+function paintScene(scene) {
+    const { canvas, svg } = scene;
+    const { layout, ratio } = scene;
+    const context = canvas.getContext("2d");
+    if (!context) {
+        return;
+    }
+
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.save();
+    context.beginPath();
+    context.rect(layout.padding.left * ratio, layout.padding.top * ratio, layout.innerWidth * ratio, layout.innerHeight * ratio);
+    context.clip();
+    scene.shapes = [];
+
+    const inherited = ["fill", "stroke", "stroke-width", "stroke-linejoin", "stroke-dasharray", "fill-opacity", "fill-rule", "font-family", "font-size", "font-weight", "text-anchor", "alignment-baseline", "dominant-baseline", "pointer-events", "visibility", "cursor"];
+    const paint = (element, matrix, opacity, parentProperties) => {
+        const property = name => element.declarations[name] || element.getAttribute(name);
+        if (property("display") === "none") {
+            return;
+        }
+
+        const properties = Object.assign({}, parentProperties);
+        for (const name of inherited) {
+            const value = property(name);
+            if (value !== null && value !== "") {
+                properties[name] = value;
+            }
+        }
+        opacity *= parseFloat(property("opacity") || 1);
+        matrix = multiplyMatrix(matrix, elementMatrix(element));
+
+        let geometry;
+        let text;
+        if (["rect", "path", "line", "circle"].includes(element.tagName)) {
+            geometry = elementGeometry(element);
+            if (element.tagName === "line") {
+                properties.fill = "none";
+            }
+        } else if (element.tagName === "text") {
+            text = element.textContent;
+        } else if (element.tagName !== "g" && element.tagName !== "svg") {
+            return; // e.g. clip paths
+        }
+
+        context.setTransform(...multiplyMatrix([ratio, 0, 0, ratio, 0, 0], matrix));
+        const fill = properties.fill === undefined ? "black" : properties.fill;
+        const stroke = properties.stroke;
+        const visible = properties.visibility !== "hidden";
+
+        if (text !== undefined) {
+            const size = parseFloat(properties["font-size"]) || 16;
+            const anchor = properties["text-anchor"] || "start";
+            const baseline = properties["dominant-baseline"] || properties["alignment-baseline"] || "alphabetic";
+            const [x, y] = ["x", "y"].map(n => parseFloat(property(n)) || 0);
+            context.font = `${properties["font-weight"] || "normal"} ${size}px ${properties["font-family"] || "sans-serif"}`;
+            context.textAlign = anchor === "middle" ? "center" : anchor === "end" ? "right" : "left";
+            context.textBaseline = { central: "middle", middle: "middle", "text-before-edge": "top", hanging: "hanging", "text-after-edge": "bottom" }[baseline] || "alphabetic";
+            if (visible && fill !== "none") {
+                context.globalAlpha = opacity * parseFloat(properties["fill-opacity"] || 1);
+                context.fillStyle = fill;
+                context.fillText(text, x, y);
+            }
+
+            // The box of the text is used for hit-testing. Its width is measured again only if the text or the font changed.
+            const key = `${context.font} ${text}`;
+            if (element.geometry === undefined || element.geometry.key !== key) {
+                element.geometry = { key, width: context.measureText(text).width };
+            }
+            const width = element.geometry.width;
+            const left = x - (anchor === "middle" ? width / 2 : anchor === "end" ? width : 0);
+            const top = y - (context.textBaseline === "middle" ? size / 2 : context.textBaseline === "top" || context.textBaseline === "hanging" ? 0 : context.textBaseline === "bottom" ? size : size * 0.8);
+            const points = [[left, top], [left + width, top], [left + width, top + size], [left, top + size]];
+            scene.shapes.push({ element, points, box: transformedBox(points, matrix), matrix, fill: true, stroke: 0, properties });
+        } else if (geometry !== undefined) {
+            const shape = geometry.shape;
+            const fillRule = properties["fill-rule"] === "evenodd" ? "evenodd" : "nonzero";
+            if (visible && fill !== "none") {
+                context.globalAlpha = opacity * parseFloat(properties["fill-opacity"] || 1);
+                context.fillStyle = fill;
+                context.fill(shape, fillRule);
+            }
+            if (visible && stroke && stroke !== "none") {
+                context.globalAlpha = opacity;
+                context.strokeStyle = stroke;
+                context.lineWidth = parseFloat(properties["stroke-width"] || 1);
+                context.lineJoin = properties["stroke-linejoin"] || "miter";
+                context.setLineDash(properties["stroke-dasharray"] ? properties["stroke-dasharray"].split(/[\s,]+/).map(parseFloat) : []);
+                context.stroke(shape);
+            }
+            const strokeWidth = stroke && stroke !== "none" ? parseFloat(properties["stroke-width"] || 1) : 0;
+            const margin = strokeWidth > 0 ? Math.max(strokeWidth * Math.max(Math.abs(matrix[0]), Math.abs(matrix[3])), 4) / 2 : 0; // Thin lines are easier to hit
+            scene.shapes.push({ element, points: geometry.points, shape, fillRule, box: transformedBox(geometry.points, matrix, margin), matrix, fill: fill !== "none", stroke: strokeWidth, properties });
+        }
+
+        for (const child of element.childNodes) {
+            if (child.nodeType === 1) {
+                paint(child, matrix, opacity, properties);
+            }
+        }
+    };
+
+    paint(svg, layout.matrix, 1, {});
+    context.restore();
+}
+
+/**
+ * Finds the topmost element of a scene at a point.
+ * @private
+ * @param {Object} scene - the scene
+ * @param {number} x - x-coordinate relative to the canvas in px
+ * @param {number} y - y-coordinate relative to the canvas in px
+ * @returns {VirtualElement} - the element or undefined
+ */
+function hitTest(scene, x, y) {
+    const context = scene.canvas.getContext("2d");
+    const { padding, innerWidth, innerHeight } = scene.layout;
+    const ratio = scene.ratio;
+    if (!context || x < padding.left || y < padding.top || x > padding.left + innerWidth || y > padding.top + innerHeight) {
+        return undefined;
+    }
+
+    for (let i = scene.shapes.length - 1; i >= 0; i--) {
+        const shape = scene.shapes[i];
+        const box = shape.box;
+        if (x < box.left || x > box.right || y < box.top || y > box.bottom || shape.properties["pointer-events"] === "none" || shape.properties.visibility === "hidden") {
+            continue;
+        }
+        if (shape.shape === undefined) { // Texts are hit anywhere in their box
+            return shape.element;
+        }
+
+        context.setTransform(...multiplyMatrix([ratio, 0, 0, ratio, 0, 0], shape.matrix));
+        const path = shape.shape;
+        if (shape.fill && context.isPointInPath(path, x * ratio, y * ratio, shape.fillRule || "nonzero")) {
+            return shape.element;
+        }
+        if (shape.stroke > 0) {
+            context.lineWidth = Math.max(shape.stroke, 4 / Math.max(Math.abs(shape.matrix[0]), Math.abs(shape.matrix[3]))); // Thin lines are easier to hit
+            if (context.isPointInStroke(path, x * ratio, y * ratio)) {
+                return shape.element;
+            }
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Calculates the position of an element of a scene on the page.
+ * @private
+ * @param {Object} scene - the scene
+ * @param {VirtualElement} element - the element
+ * @returns {Object} - the position like getBoundingClientRect()
+ */
+function sceneBounds(scene, element) {
+    const canvasRect = scene.canvas.getBoundingClientRect();
+    let left = Infinity;
+    let top = Infinity;
+    let right = -Infinity;
+    let bottom = -Infinity;
+
+    if (element === scene.svg) {
+        const { padding, innerWidth, innerHeight } = scene.layout;
+        [left, top, right, bottom] = [padding.left, padding.top, padding.left + innerWidth, padding.top + innerHeight];
+    } else {
+        for (const shape of scene.shapes) {
+            let parent = shape.element;
+            while (parent && parent !== element) {
+                parent = parent.parentNode;
+            }
+            if (!parent) {
+                continue;
+            }
+
+            const box = transformedBox(shape.points, shape.matrix);
+            [left, top, right, bottom] = [Math.min(left, box.left), Math.min(top, box.top), Math.max(right, box.right), Math.max(bottom, box.bottom)];
+        }
+    }
+
+    if (left === Infinity) {
+        [left, top, right, bottom] = [0, 0, 0, 0];
+    }
+    const x = canvasRect.left + left;
+    const y = canvasRect.top + top;
+    return { x, y, left: x, top: y, right: canvasRect.left + right, bottom: canvasRect.top + bottom, width: right - left, height: bottom - top };
+}
+
+/**
+ * Draws a chart that was rendered into a virtual dom onto a canvas. Mouse events are passed to the listeners of the element under the mouse and the canvas is redrawn when an element changes.
+ * @private
+ * @param {VirtualElement} svg - the svg of the chart
+ * @param {Object} container - the container of the chart
+ * @returns {Object} - the canvas
+ */
+function paintCanvas(svg, container) {
+    const canvas = document.createElement("canvas");
+    const layout = viewBoxLayout(svg, container);
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(layout.width * ratio);
+    canvas.height = Math.round(layout.height * ratio);
+    canvas.style.width = `${layout.width}px`;
+    canvas.style.height = `${layout.height}px`;
+    canvas.style.display = "block";
+
+    const scene = {
+        canvas,
+        svg,
+        layout,
+        ratio,
+        shapes: [],
+        hovered: [],
+        pending: false,
+        invalidate: () => {
+            if (scene.pending) {
+                return;
+            }
+            scene.pending = true;
+            (typeof requestAnimationFrame === "function" ? requestAnimationFrame : callback => setTimeout(callback, 16))(() => {
+                scene.pending = false;
+                paintScene(scene);
+            });
+        },
+        bounds: element => sceneBounds(scene, element)
+    };
+    svg.scene = scene;
+    paintScene(scene);
+
+    const dispatch = (elements, event, type) => {
+        for (const element of elements) {
+            for (const listener of (element.listeners[type] || []).slice()) {
+                listener.call(element, event);
+            }
+        }
+    };
+    const chain = element => {
+        const elements = [];
+        for (let e = element; e; e = e.parentNode) {
+            elements.push(e);
+        }
+        return elements;
+    };
+    const elementsAt = event => {
+        const rect = canvas.getBoundingClientRect();
+        const hit = hitTest(scene, event.clientX - rect.left, event.clientY - rect.top);
+        return chain(hit || svg);
+    };
+
+    canvas.addEventListener("mousemove", event => {
+        const elements = elementsAt(event);
+        dispatch(scene.hovered.filter(e => !elements.includes(e)), event, "mouseleave");
+        dispatch(elements.filter(e => !scene.hovered.includes(e)).reverse(), event, "mouseenter");
+        scene.hovered = elements;
+        dispatch(elements, event, "mousemove");
+
+        const cursor = elements.map(e => e.declarations.cursor).find(c => c);
+        canvas.style.cursor = cursor || "";
+    });
+    canvas.addEventListener("mouseleave", event => {
+        dispatch(scene.hovered, event, "mouseleave");
+        scene.hovered = [];
+    });
+    for (const type of ["mousedown", "mouseup", "click", "wheel"]) {
+        canvas.addEventListener(type, event => dispatch(elementsAt(event), event, type));
+    }
+
+    return canvas;
+}
+
+/**
+ * Renderer that draws charts onto a canvas. The charts are rendered into a virtual dom first, which is then painted.
+ * @private
+ */
+const canvasRenderer = {
+    live: true,
+    container: domRenderer.container,
+    createElement: virtualRenderer.createElement,
+    createTextNode: virtualRenderer.createTextNode,
+    serialize: virtualRenderer.serialize,
+    measureText: undefined // Measured with a canvas
+};
+
+/**
+ * Draws a chart with the renderer that is selected in its options.
+ * @private
+ * @param {Object} chart - the chart
+ * @param {Function} draw - draws the chart
+ */
+function drawChart(chart, draw) {
+    if (chart.transition !== undefined && chart.tweens === undefined) { // Drawn again for another reason than new data, e.g. a resize
+        cancelAnimationFrame(chart.transition);
+        chart.transition = undefined;
+    }
+
+    chart.previousElements = chart.keyedElements || new Map(); // Kept by keyElement
+    chart.keyedElements = new Map();
+    withRenderer(chart.renderer === "canvas" && Draw.renderer === domRenderer ? canvasRenderer : Draw.renderer, draw);
+    chart.previousElements = undefined;
+}
+
+/**
+ * Replaces the content of the container of a chart with the newly drawn chart. The tooltip is kept if the chart was already drawn, so that it does not disappear on updates.
+ * @private
+ * @param {Object} chart - the chart
+ */
+function mountChart(chart) {
+    const element = Draw.renderer === canvasRenderer ? paintCanvas(chart.svg, chart.container) : chart.svg;
+    if (chart.mounted && chart.mounted.parentNode === chart.container) {
+        chart.container.replaceChild(element, chart.mounted);
+    } else {
+        clear(chart.container);
+        chart.tooltip = undefined;
+        chart.container.appendChild(element);
+    }
+    chart.mounted = element;
+}
+
+/**
+ * Easing functions for animations. Receive the progress between 0 and 1.
+ * @private
+ */
+const easings = {
+    "linear": t => t,
+    "ease-in": t => t * t * t,
+    "ease-out": t => 1 - Math.pow(1 - t, 3),
+    "ease-in-out": t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+};
+
+/**
+ * The attributes of keyed elements that are animated in transitions. Other attributes jump to their new value.
+ * @private
+ */
+const tweenedAttributes = geometryAttributes.concat(["transform"]);
+
+/**
+ * Interpolates between two values of an attribute, e.g. two paths with the same commands. Only the numbers are interpolated.
+ * @private
+ * @param {string} name - the name of the attribute
+ * @param {string} from - the old value
+ * @param {string} to - the new value
+ * @param {number} progress - the progress between 0 and 1
+ * @returns {string} - the value in between. Values with a different structure jump to the new value.
+ */
+function interpolateAttribute(name, from, to, progress) {
+    const pattern = /-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi;
+    const numbers = from.match(pattern) || [];
+    if (progress >= 1 || from.replace(pattern, "#") !== to.replace(pattern, "#")) {
+        return to;
+    }
+
+    let i = 0;
+    let command = "";
+    let argument = 0; // Index of the number among the arguments of the current path command
+    let last = 0;
+    return to.replace(pattern, (number, offset) => {
+        const letters = to.slice(last, offset).match(/[a-z]/gi);
+        if (letters) {
+            command = letters[letters.length - 1];
+            argument = 0;
+        }
+        last = offset + number.length;
+
+        const old = parseFloat(numbers[i++]);
+        const flag = name === "d" && (command === "A" || command === "a") && [3, 4].includes(argument++ % 7); // Arc flags are 0 or 1
+        return flag ? number : `${old + (parseFloat(number) - old) * progress}`;
+    });
+}
+
+/**
+ * Adds an event listener to a drawn element. Elements that are kept when the chart is drawn again (see keyElement) get the listeners of the new drawing instead of their old ones.
+ * @private
+ * @param {Object} element - the element
+ * @param {string} type - the event type
+ * @param {Function} listener - the listener
+ */
+function onElement(element, type, listener) {
+    element.handlers = element.handlers || {};
+    if (element.handlers[type] === undefined) {
+        element.handlers[type] = [];
+        element.addEventListener(type, event => {
+            if (type === "mouseenter" || type === "mousemove") {
+                element.hoverEvent = event; // Used to update the tooltip if the element is kept with new data
+            } else if (type === "mouseleave") {
+                element.hoverEvent = undefined;
+            }
+            element.handlers[type].slice().forEach(handler => handler.call(element, event));
+        });
+    }
+    element.handlers[type].push(listener);
+}
+
+/**
+ * Lists the names of the attributes of an element.
+ * @private
+ * @param {Object} element - the element
+ * @returns {string[]} - the names
+ */
+function attributeNames(element) {
+    return element instanceof VirtualElement ? Object.keys(element.attributes) : Array.from(element.attributes).map(attribute => attribute.name);
+}
+
+/**
+ * Animates the values a shape is drawn from, e.g. the angles of a pie slice, and draws the shape again in each frame.
+ * @private
+ * @param {Object} chart - the chart with the animations of the current drawing
+ * @param {Object} element - the element of the shape
+ * @param {Object} from - the old values
+ * @param {Object} shape - the new values and a function that returns the attributes of the element for values
+ */
+function tweenShape(chart, element, from, shape) {
+    const apply = values => {
+        element.shape = values;
+        const attributes = shape.attributes(values);
+        for (const name of Object.keys(attributes)) {
+            element.setAttribute(name, attributes[name]);
+        }
+    };
+
+    apply(from);
+    chart.tweens.push(progress => {
+        const values = {};
+        for (const name of Object.keys(shape.values)) {
+            values[name] = from[name] + (shape.values[name] - from[name]) * progress;
+        }
+        apply(values);
+    });
+}
+
+/**
+ * Gives a kept element the attributes and children of its new version. Changed geometry is animated during a transition, everything else changes right away.
+ * @private
+ * @param {Object} chart - the chart
+ * @param {Object} old - the kept element
+ * @param {Object} element - the new version of the element
+ * @param {Object} [shape] - the values the element is drawn from (see keyElement)
+ */
+function patchElement(chart, old, element, shape) {
+    const shaped = shape && chart.tweens && old.shape ? Object.keys(shape.attributes(shape.values)) : [];
+    for (const name of attributeNames(old)) {
+        if (element.getAttribute(name) === null) {
+            old.removeAttribute(name);
+        }
+    }
+
+    for (const name of attributeNames(element)) {
+        const from = old.getAttribute(name);
+        const to = element.getAttribute(name);
+        if (shaped.includes(name) || (from !== null && `${from}` === `${to}`)) {
+            continue;
+        }
+
+        if (chart.tweens && from !== null && tweenedAttributes.includes(name)) {
+            chart.tweens.push(progress => old.setAttribute(name, interpolateAttribute(name, `${from}`, `${to}`, progress)));
+        } else {
+            old.setAttribute(name, to);
+        }
+    }
+
+    if (shaped.length > 0) {
+        tweenShape(chart, old, old.shape, shape);
+    } else if (shape) {
+        old.shape = shape.values;
+    }
+
+    // Children are patched if they are the same elements, otherwise they are replaced
+    const oldChildren = Array.from(old.childNodes);
+    const children = Array.from(element.childNodes);
+    if (oldChildren.length === children.length && oldChildren.every((child, i) => child.nodeType === children[i].nodeType && child.tagName === children[i].tagName)) {
+        oldChildren.forEach((child, i) => {
+            if (child.nodeType === 1) {
+                patchElement(chart, child, children[i]);
+            } else if (child.textContent !== children[i].textContent) {
+                child.textContent = children[i].textContent;
+            }
+        });
+    } else {
+        clear(old);
+        children.forEach(child => old.appendChild(child));
+    }
+
+    for (const type of Object.keys(old.handlers || {})) { // The listeners of the new drawing are added to the kept element
+        old.handlers[type] = [];
+    }
+}
+
+/**
+ * Registers a drawn element under a key, e.g. the label of a bar and the title of a dataset. If the previous drawing of the chart has an element with the same key,
+ * that element is kept and gets the attributes of the new one, so that it can be animated. Elements with the same key are told apart by their order.
+ * Must be called after the attributes of the element are set and before its listeners are added with onElement.
+ * @private
+ * @param {Object} chart - the chart
+ * @param {Array} key - the parts of the key
+ * @param {Object} element - the new element
+ * @param {Object} [shape] - for shapes that cannot be animated by their attributes: the values the shape is drawn from (numbers) and a function that returns the attributes for values
+ * @param {Object} [shape.values] - the values, e.g. the start and size of a pie slice
+ * @param {Function} [shape.attributes] - returns the attributes that depend on the values, e.g. the path
+ * @param {Object} [shape.enter] - the values from which a new shape is animated
+ * @returns {Object} - the element to use: the kept element or the new one
+ */
+function keyElement(chart, key, element, shape) {
+    const base = key.join("\u0000");
+    let unique = base;
+    for (let i = 2; chart.keyedElements.has(unique); i++) {
+        unique = `${base}\u0000${i}`;
+    }
+
+    const old = chart.previousElements !== undefined ? chart.previousElements.get(unique) : undefined;
+    if (old !== undefined && old.tagName === element.tagName && (old instanceof VirtualElement) === (element instanceof VirtualElement)) { // Not kept if the renderer changed
+        patchElement(chart, old, element, shape);
+        element = old;
+    } else if (shape && shape.enter && chart.tweens) {
+        tweenShape(chart, element, shape.enter, shape);
+    } else if (shape) {
+        element.shape = shape.values;
+    }
+
+    chart.keyedElements.set(unique, element);
+    return element;
+}
+
+/**
+ * Replaces the data of a chart. Elements that are registered with keyElement are kept and their changed geometry is animated from the old to the new values,
+ * unless animations are disabled or the user prefers reduced motion. Other elements are drawn again right away.
+ * @private
+ * @param {Object} chart - the chart with animation options
+ * @param {*} data - the new data
+ */
+function transitionData(chart, data) {
+    if (chart.transition !== undefined) {
+        cancelAnimationFrame(chart.transition);
+        chart.transition = undefined;
+    }
+
+    const animate = chart.animation.duration > 0 && chart.svg !== undefined && Draw.renderer.live && typeof requestAnimationFrame === "function" &&
+        !(typeof window.matchMedia === "function" && window.matchMedia("(prefers-reduced-motion: reduce)").matches);
+    chart.tweens = animate ? [] : undefined; // Filled while drawing
+    chart.data = data;
+    chart.draw();
+    const tweens = chart.tweens || [];
+    chart.tweens = undefined;
+
+    // The tooltip shows the old data. It is shown again for the hovered element if that was kept, otherwise it is hidden.
+    if (chart.tooltip !== undefined && chart.tooltip.style.visibility === "visible") {
+        const hovered = Array.from(chart.keyedElements.values()).find(element => element.hoverEvent !== undefined);
+        if (hovered !== undefined) {
+            for (const type of ["mouseenter", "mousemove"]) {
+                ((hovered.handlers || {})[type] || []).forEach(handler => handler.call(hovered, hovered.hoverEvent));
+            }
+        } else {
+            toggleTooltip(chart, false);
+        }
+    }
+
+    if (tweens.length === 0) {
+        return;
+    }
+
+    const easing = typeof chart.animation.easing === "function" ? chart.animation.easing : easings[chart.animation.easing] || easings["ease-in-out"];
+    let start;
+    const frame = time => {
+        start = start === undefined ? time : start;
+        const progress = Math.min(1, (time - start) / chart.animation.duration);
+        const eased = progress < 1 ? easing(progress) : 1;
+        tweens.forEach(tween => tween(eased)); // Changes of the virtual dom also repaint the canvas
+        chart.transition = progress < 1 ? requestAnimationFrame(frame) : undefined;
+    };
+    chart.transition = requestAnimationFrame(frame);
+}
+
+/**
+ * The built-in color themes. Every chart reads its colors from a theme, which can be chosen with the theme option.
+ * Single colors can be overridden with CSS variables on the container or one of its parents (see themeVariables).
+ * @private
+ */
+const themes = {
+    light: {
+        background: "white",
+        grid: "#E3E6E9",
+        text: "black",
+        muted: "#8a8f94",
+        tooltipBackground: "black",
+        tooltipText: "white",
+        palette: ['#7cd6fd', '#5e64ff', '#743ee2', '#ff5858', '#ffa00a', '#feef72', '#28a745', '#98d85b', '#b554ff', '#ffa3ef', '#36114C', '#bdd3e6', '#f0f4f7', '#b8c2cc'],
+        scale: ['#ebedf0', '#c6e48b', '#7bc96f', '#239a3b', '#196127']
+    },
+    dark: {
+        background: "#1e2126",
+        grid: "#3a3f46",
+        text: "#e3e6e9",
+        muted: "#8a8f94",
+        tooltipBackground: "#4a5059",
+        tooltipText: "white",
+        palette: ['#7cd6fd', '#5e64ff', '#743ee2', '#ff5858', '#ffa00a', '#feef72', '#28a745', '#98d85b', '#b554ff', '#ffa3ef', '#9b6fd0', '#bdd3e6', '#f0f4f7', '#b8c2cc'],
+        scale: ['#2d333b', '#0e4429', '#006d32', '#26a641', '#39d353']
+    }
+};
+
+/**
+ * The CSS variables that override the colors of the theme. Lists of colors are separated by commas.
+ * @private
+ */
+const themeVariables = {
+    background: "--tc-background", // Background of the chart, e.g. behind the scale and of the hourly stripes
+    grid: "--tc-grid", // Empty bars and rings, scale and grid lines
+    text: "--tc-text",
+    muted: "--tc-muted", // Crosshairs and dependency arrows
+    tooltipBackground: "--tc-tooltip-bg",
+    tooltipText: "--tc-tooltip-text",
+    palette: "--tc-palette", // Colors of the data if it does not have colors of its own
+    scale: "--tc-scale" // Colors of the heatmap, from empty to full
+};
+
+/**
+ * Checks whether the user prefers a dark color scheme.
+ * @private
+ * @returns {boolean} - whether the color scheme is dark
+ */
+function prefersDark() {
+    return typeof window !== "undefined" && typeof window.matchMedia === "function" && window.matchMedia("(prefers-color-scheme: dark)").matches;
+}
+
+/**
+ * Resolves the colors of a chart from its theme and the CSS variables of its container.
+ * @private
+ * @param {Object} container - the container of the chart
+ * @param {'light' | 'dark' | 'auto' | Object} theme - the name of a built-in theme or an object with colors. Missing colors are taken from the light theme.
+ * @returns {Object} - the colors (see the light theme)
+ */
+function resolveTheme(container, theme) {
+    const name = theme === "auto" ? (prefersDark() ? "dark" : "light") : theme;
+    const colors = Object.assign({}, themes.light, typeof name === "object" ? name : themes[name]);
+
+    if (typeof getComputedStyle === "function" && !(container instanceof VirtualElement)) {
+        const style = getComputedStyle(container);
+        for (const key of Object.keys(themeVariables)) {
+            const value = style.getPropertyValue(themeVariables[key]).trim();
+            if (value !== "") {
+                colors[key] = Array.isArray(colors[key]) ? value.split(/,(?![^(]*\))/).map(c => c.trim()) : value; // Commas in e.g. rgb() do not separate colors
+            }
+        }
+    }
+    return colors;
+}
+
+/**
+ * Redraws a chart when the color scheme of the system changes, e.g. for the auto theme or CSS variables that depend on the color scheme.
+ * @private
+ * @param {Object} chart - the chart
+ */
+function observeColorScheme(chart) {
+    if (typeof window.matchMedia !== "function") {
+        return;
+    }
+
+    const query = window.matchMedia("(prefers-color-scheme: dark)");
+    const change = () => chart.draw();
+    if (typeof query.addEventListener === "function") {
+        listen(chart, query, "change", change);
+    } else if (typeof query.addListener === "function") { // Older Safari
+        query.addListener(change);
+        onDestroy(chart, () => query.removeListener(change));
+    }
+}
+
+/**
+ * Shows the tooltip of a chart or hides it. The tooltip is created on first use and colored with the theme of the chart.
+ * @private
+ * @param {Object} chart - the chart
+ * @param {boolean} show - whether to show or hide the tooltip
+ * @param {Function} [content] - returns the html of the tooltip
+ * @param {Function} [position] - returns the top and left of the tooltip in px. Receives the size of the tooltip with its content.
+ */
+function toggleTooltip(chart, show, content, position) {
+    chart.drawing = true;
+    if (chart.tooltip === undefined) {
+        chart.tooltip = document.createElement('div');
+        chart.tooltip.style.display = "block";
+        chart.tooltip.style.position = "absolute";
+        chart.tooltip.style.fontFamily = chart.font;
+        chart.tooltip.classList.add('time-chart-tooltip');
+        chart.tooltip.appendChild(document.createElement('span'));
+        chart.container.appendChild(chart.tooltip);
+    }
+
+    if (!show) {
+        chart.tooltip.style.visibility = "hidden";
+        chart.drawing = false;
+        return;
+    }
+
+    clear(chart.tooltip);
+    chart.tooltip.innerHTML = content();
+    chart.tooltip.style.setProperty(themeVariables.tooltipBackground, chart.theme.tooltipBackground);
+    chart.tooltip.style.setProperty(themeVariables.tooltipText, chart.theme.tooltipText);
+
+    const { top, left } = position(chart.tooltip.getBoundingClientRect());
+    chart.tooltip.style.top = `${top}px`;
+    chart.tooltip.style.left = `${left}px`;
+    chart.tooltip.style.visibility = "visible";
+    chart.drawing = false;
+}
+
+/**
+ * Places a tooltip horizontally centered above an element.
+ * @private
+ * @param {Object} g - the element
+ * @param {number} [distance] - the distance between the top of the tooltip and the top of the element in px. Defaults to the height of the tooltip and its arrow.
+ * @returns {Function} - the position for toggleTooltip
+ */
+function tooltipAbove(g, distance) {
+    return size => {
+        const rect = g.getBoundingClientRect();
+        return {
+            top: rect.y - (distance !== undefined ? distance : size.height + 8),
+            left: rect.x + rect.width / 2 - size.width / 2
+        };
+    };
+}
+
+/**
+ * Registers a function that is called when the chart is destroyed or before it is set up again with new options.
+ * @private
+ * @param {Object} chart - the chart
+ * @param {Function} callback - stops what the chart started, e.g. a timer
+ */
+function onDestroy(chart, callback) {
+    chart.cleanups = chart.cleanups || [];
+    chart.cleanups.push(callback);
+}
+
+/**
+ * Adds an event listener that is removed again when the chart is destroyed. Used for listeners on elements that outlive the drawn chart, e.g. the window or the container.
+ * @private
+ * @param {Object} chart - the chart
+ * @param {EventTarget} target - the element the listener is added to
+ * @param {string} type - the event type
+ * @param {Function} listener - the listener
+ * @param {Object} [options] - the options of the listener
+ */
+function listen(chart, target, type, listener, options) {
+    target.addEventListener(type, listener, options);
+    onDestroy(chart, () => target.removeEventListener(type, listener, options));
+}
+
+/**
+ * Redraws a chart when the size of its container changes.
+ * @private
+ * @param {Object} chart - the chart
+ */
+function observeResize(chart) {
+    if (typeof ResizeObserver === "function") {
+        const ro = new ResizeObserver(entries => {
+            if(chart.drawing || entries[0].contentRect.width === 0 || entries[0].contentRect.height === 0)
+                return;
+            chart.draw();
+        });
+        ro.observe(chart.container);
+        onDestroy(chart, () => ro.disconnect());
+    } else {
+        listen(chart, window, "resize", () => {
+            if(chart.drawing)
+                return;
+            chart.draw();
+        });
+    }
+}
+
+/**
+ * Stops observers, listeners, timers and the running animation of a chart.
+ * @private
+ * @param {Object} chart - the chart
+ */
+function stopChart(chart) {
+    const cleanups = chart.cleanups || [];
+    chart.cleanups = [];
+    cleanups.forEach(callback => callback());
+
+    if (chart.transition !== undefined) {
+        cancelAnimationFrame(chart.transition);
+        chart.transition = undefined;
+    }
+}
+
+/**
+ * Merges changed options into the current options. Nested option objects are merged, everything else (including arrays and the data) is replaced.
+ * @private
+ * @param {Object} options - the changed options
+ * @param {Object} current - the current options
+ * @returns {Object} - the new options
+ */
+function mergeOptions(options, current) {
+    const isOptions = value => value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date);
+    const result = Object.assign({}, current);
+    for (const key of Object.keys(options)) {
+        result[key] = key !== "data" && isOptions(options[key]) && isOptions(current[key]) ? mergeOptions(options[key], current[key]) : options[key];
+    }
+    return result;
+}
+
+class Draw {
+    /**
+     * Creates an svg object.
+     * @private
+     * @param {number|string} width - width of the svg
+     * @param {number|string} height - height of the svg
+     * @param {number} vbWidth - width of the viewbox
+     * @param {number} vbHeight - height of the viewbox
+     * @param {Object} [options] - additional attributes for the svg
+     * @returns {Object} - svg object
+     */
+    static svg(width, height, vbWidth, vbHeight, options) {
+        const svg = Draw.renderer.createElement("svg");
+        setAttributes(svg, {
+            width,
+            height,
+            viewBox: "0 0 " + vbWidth + " " + vbHeight,
+            preserveAspectRatio: "none"
+        });
+        setAttributes(svg, options || {});
+        return svg;
+    }
+
+    /**
+     * Draws an svg rectangle.
+     * @private
+     * @param {number} x - x-coordinate
+     * @param {number} y - y-coordinate
+     * @param {number} width - width of the rectangle
+     * @param {number} height - height of the rectangle
+     * @param {string} color - the fill color of the rectangle
+     * @param {Object} [options] additional attributes for the rectangle
+     * @returns {Object} - svg rectangle
+     */
+    static rect(x, y, width, height, color, options) {
+        const rect = Draw.renderer.createElement("rect")
+        setAttributes(rect, {
+            width,
+            height,
+            x,
+            y,
+            fill: color
+        });
+        setAttributes(rect, options || {});
+        return rect;
+    }
+
+    /**
+     * Draws an svg line.
+     * @private
+     * @param {number} x1 - x-coordinate where the line begins
+     * @param {number} y1 - y-coordinate where the line begins
+     * @param {number} x2 - x-coordinate where the line ends
+     * @param {number} y2 - y-coordinate where the line begins
+     * @param {string} color - color of the line
+     * @param {number} width - width of the line
+     * @param {Object} [options] - additional attributes for the line
+     * @returns {Object} - svg line
+     */
+    static line(x1, y1, x2, y2, color, width, options) {
+        const line = Draw.renderer.createElement("line");
+        setAttributes(line, {
+            x1,
+            y1,
+            x2,
+            y2,
+            stroke: color,
+            "stroke-width": width
+        });
+        setAttributes(line, options || {});
+        return line;
+    }
+
+    /**
+     * Draws an svg path.
+     * @private
      * @param {string} shape - the shape of the path 
      * @param {string} color - the color of the path
      * @param {Object} [options] - additional attributes for the path
      * @returns {Object} - svg path
      */
-    static path(shape, color, options) {
-        const path = document.createElementNS("http://www.w3.org/2000/svg", "path");
-        setAttributes(path, {
-            d: shape,
-            fill: color
+    static path(shape, color, options) {
+        const path = Draw.renderer.createElement("path");
+        setAttributes(path, {
+            d: shape,
+            fill: color
+        });
+        setAttributes(path, options || {});
+        return path;
+    }
+
+    /**
+     * Draws an svg text.
+     * @private
+     * @param {number} x - x-coordinate of the top right left corner of the text
+     * @param {number} y - y-coordinate of the top right left corner of the text
+     * @param {string} content - the text that is displayed
+     * @param {string} color - the text color
+     * @param {string} [font = 'Roboto'] - the font name
+     * @param {Object} [options] - additional attributes for the text
+     * @returns {Object} - svg text
+     */
+    static text(x, y, content, color, font, options) {
+        color = color || "black";
+        font = font || 'Roboto';
+        const text = Draw.renderer.createElement("text");
+        setAttributes(text, {
+            x,
+            y,
+            "font-size": "14px",
+            fill: color,
+            stroke: "none",
+            "font-family": font,
+            "text-anchor": "middle",
+            class: ["static"]
+        });
+        setAttributes(text, options || {});
+        text.appendChild(Draw.renderer.createTextNode(content));
+        return text;
+    }
+
+    /**
+     * Creates an svg group.
+     * @private
+     * @returns {Object} - svg group
+     */
+    static group() {
+        return Draw.renderer.createElement("g");
+    }
+}
+
+/**
+ * The renderer that creates the elements of the charts. Has the properties live (whether charts react to resizes and user input), container(element), createElement(name), createTextNode(text), serialize(element) and measureText(text, font, size, weight).
+ * @private
+ */
+Draw.renderer = domRenderer;
+
+/**
+ * Runs a function while the charts are drawn with another renderer.
+ * @private
+ * @param {Object} renderer - the renderer
+ * @param {Function} callback - the function
+ * @returns {*} - the result of the function
+ */
+function withRenderer(renderer, callback) {
+    const previous = Draw.renderer;
+    Draw.renderer = renderer;
+    try {
+        return callback();
+    } finally {
+        Draw.renderer = previous;
+    }
+}
+
+/**
+ * Formats times and durations based on a locale.
+ * @private
+ */
+class Formatter {
+    /**
+     * Creates a formatter.
+     * @private
+     * @param {Object} options - the format options
+     * @param {string|string[]} [options.locale] - the locale. Defaults to the locale of the browser.
+     * @param {boolean} [options.hour12] - whether to use a 12-hour clock. Defaults to the convention of the locale.
+     * @param {string} [options.timeZone] - the IANA time zone for absolute times. Defaults to the local time zone.
+     * @param {Function} [options.time] - custom formatter for points in time.
+     * @param {Function} [options.duration] - custom formatter for durations.
+     * @param {Function} [options.day] - custom formatter for days.
+     */
+    constructor(options) {
+        this.options = options;
+
+        const timeOptions = { hour: "numeric", minute: "2-digit", hour12: options.hour12 };
+        this.timeFormat = new Intl.DateTimeFormat(options.locale, Object.assign({ timeZone: options.timeZone }, timeOptions));
+        this.minutesFormat = new Intl.DateTimeFormat(options.locale, Object.assign({ timeZone: "UTC" }, timeOptions)); // Minutes of the day are not affected by time zones
+        this.dayFormat = new Intl.DateTimeFormat(options.locale, { weekday: "short", month: "short", day: "numeric", timeZone: options.timeZone });
+        this.percentFormat = new Intl.NumberFormat(options.locale, { style: "percent", maximumFractionDigits: 0 });
+
+        try {
+            this.hourFormat = new Intl.NumberFormat(options.locale, { style: "unit", unit: "hour", unitDisplay: "narrow" });
+            this.minuteFormat = new Intl.NumberFormat(options.locale, { style: "unit", unit: "minute", unitDisplay: "narrow" });
+            this.dayCountFormat = new Intl.NumberFormat(options.locale, { style: "unit", unit: "day", unitDisplay: "narrow", maximumFractionDigits: 1 });
+        } catch (e) { // Browser does not support units
+            this.hourFormat = { format: h => `${h}h` };
+            this.minuteFormat = { format: m => `${m}m` };
+            this.dayCountFormat = { format: d => `${Math.round(d * 10) / 10}d` };
+        }
+    }
+
+    /**
+     * Converts a point in time into a string
+     * @private
+     * @param {Date|number} time - a Date or the minutes of the day
+     * @returns {string} - e.g. 4:30 PM or 16:30
+     */
+    time(time) {
+        if (this.options.time) {
+            return this.options.time(time);
+        } else if (time instanceof Date) {
+            return this.timeFormat.format(time);
+        }
+        return this.minutesFormat.format(new Date((((time % 1440) + 1440) % 1440) * 60000));
+    }
+
+    /**
+     * Converts a number of minutes into a string
+     * @private
+     * @param {number} minutes - the minutes
+     * @returns {string} - e.g. 4h 35m or 4 Std. 35 Min. (empty for 0 minutes)
+     */
+    duration(minutes) {
+        if (this.options.duration) {
+            return this.options.duration(minutes);
+        }
+
+        const h = Math.floor(minutes / 60);
+        const m = Math.floor(minutes % 60);
+
+        if (m === 0 && h === 0) {
+            return "";
+        } else if (m === 0) {
+            return this.hourFormat.format(h);
+        } else if (h === 0) {
+            return this.minuteFormat.format(m);
+        }
+        return `${this.hourFormat.format(h)} ${this.minuteFormat.format(m)}`;
+    }
+
+    /**
+     * Converts a number of minutes into a number of days. Durations shorter than a day are formatted like durations.
+     * @private
+     * @param {number} minutes - the minutes
+     * @returns {string} - e.g. 3d or 4h 35m
+     */
+    days(minutes) {
+        if (this.options.duration || minutes < 1440) {
+            return this.duration(minutes);
+        }
+        return this.dayCountFormat.format(minutes / 1440);
+    }
+
+    /**
+     * Converts a day into a string
+     * @private
+     * @param {Date|number} day - the start of the day as a Date or the index of the day (starting at 0)
+     * @returns {string} - e.g. Mon, Jan 6 or Day 2
+     */
+    day(day) {
+        if (this.options.day) {
+            return this.options.day(day);
+        } else if (day instanceof Date) {
+            return this.dayFormat.format(day);
+        }
+        return `Day ${day + 1}`;
+    }
+
+    /**
+     * Converts a fraction into a percentage
+     * @private
+     * @param {number} value - the fraction, e.g. 0.25
+     * @returns {string} - e.g. 25%
+     */
+    percent(value) {
+        return this.percentFormat.format(value);
+    }
+}
+
+/**
+ * The parts that all charts share: finding the container, changing the options, exporting and removing the chart.
+ * Charts implement init(params), which sets the options, draws the chart and starts listening to changes.
+ * @private
+ */
+class Chart {
+    /**
+     * Finds the container and draws the chart
+     * @private
+     * @param {string|HTMLElement} element - the container dom element into which the chart is placed or a css query selector for it.
+     * @param {Object} params - the options of the chart
+     */
+    constructor(element, params) {
+        this.container = Draw.renderer.container(element);
+        if (this.container == null) {
+            console.error("Container for chart does not exist");
+            return;
+        }
+
+        this.init(params);
+        if (Draw.renderer.live) {
+            liveCharts.add(this);
+        }
+    }
+
+    /**
+     * Changes options and draws the chart again. Options that are not given keep their current value.
+     * @param {Object} options - the options to change. See the constructor for all options.
+     */
+    update(options) {
+        if (this.container == null) {
+            return;
+        }
+
+        stopChart(this);
+        this.init(mergeOptions(options || {}, Object.assign({}, this.options, { data: this.data })));
+    }
+
+    /**
+     * Removes the chart with its tooltip from the container and stops listening to resizes, user input and timers. The chart must not be used afterwards.
+     */
+    destroy() {
+        if (this.container == null) {
+            return;
+        }
+
+        stopChart(this);
+        liveCharts.delete(this);
+        clear(this.container);
+        this.svg = undefined;
+        this.mounted = undefined;
+        this.tooltip = undefined;
+    }
+
+    /**
+     * Exports the chart as a standalone svg with a fixed size in px. The font is embedded if it is loaded with @font-face.
+     * @returns {Promise<string>} - the svg
+     */
+    toSVGString() {
+        return exportSVG(this.svg, this.container, this.font);
+    }
+
+    /**
+     * Exports the chart as a png.
+     * @param {number} [scale = 1] - the number of pixels per px, e.g. 2 for sharp images on high resolution screens and in print.
+     * @returns {Promise<Blob>} - the png
+     */
+    toPNGBlob(scale) {
+        return this.toSVGString().then(svg => renderPNG(svg, this.container.clientWidth, this.container.clientHeight, scale || 1));
+    }
+
+    /**
+     * Lets the user download the chart.
+     * @param {string} [filename = 'chart'] - the name of the file. The extension is added if missing.
+     * @param {'svg' | 'png'} [format = 'svg'] - the format of the file.
+     * @returns {Promise} - resolves after the download started
+     */
+    download(filename, format) {
+        return downloadChart(this, filename, format);
+    }
+}
+
+///// PUBLIC FUNCTIONS /////
+
+/**
+ * Creates a bar chart
+ * @class
+ */
+class Barchart extends Chart {
+    /**
+     * Constructs a bar chart
+     * @constructor
+     * @param {string|HTMLElement} element - the container dom element into which the chart is placed or a css query selector for it.
+     * @param {Object} [params] - options
+     * @param {Object} [params.barSize = 25] - the size of a bar in px.
+     * @param {Object[]} [params.data] - the data to be displayed. A list of bars that make up the bar chart.
+     * @param {string} [params.data[].label] - the labels underneath the bar.
+     * @param {Object[]} [params.data[].datasets] - each dataset represents one "block" of a bar.
+     * @param {number} params.data[].datasets[].value - the value of the block.
+     * @param {string} [params.data[].datasets[].title] - the title of the block.
+     * @param {string} [params.data[].datasets[].color] - the color of the block.
+     * @param {number|string} [params.max = 'relative'] - the max value of the chart.
+     * @param {Object} [params.padding] - padding in all directions of the chart.
+     * @param {number|string} [params.padding.top] - top padding for the chart.
+     * @param {number|string} [params.padding.right] - right padding for the chart.
+     * @param {number|string} [params.padding.bottom] - bottom padding for the chart.
+     * @param {number|string} [params.padding.left] - left padding for the chart.
+     * @param {Object} [params.colors] - custom colors
+     * @param {boolean} [params.colors.fixToTitle = true] - Whether bar-portions with the same title should also have the same color.
+     * @param {string} [params.colors.background] - the color of the background of the bars (not the color of background of the whole chart). Defaults to the grid color of the theme.
+     * @param {string} [params.colors.text] - the color of the text. Defaults to the text color of the theme.
+     * @param {'vertical' | 'horizontal'} [params.orientation = 'vertical'] - orientation for the chart.
+     * @param {string} [params.font = 'Roboto'] - the font for all writing. Font must be imported separately.
+     * @param {Object} [params.hover] - options for the hover effect.
+     * @param {boolean} [params.hover.visible = true] - whether the titles should be shown on hover or not.
+     * @param {Function} [params.hover.callback] - function that returns html that is displayed in the hover effect. Receives (title, value).
+     * @param {'variable' | number} [params.distance = 'variable'] - whether the distance between timelines should be variable (based on svg size) or a fixed number of px.
+     * @param {number} [params.minDistance = 0] - the minimum number of pixels between bars.
+     * @param {boolean} [params.adjustSize = false] - whether the size of the container should be adjusted based on the needed space. Only works if params.distance != 'variable'.
+     * @param {Object} [params.scale] - options for the scale
+     * @param {boolean} [params.scale.visible = true] - whether the scale should be visible or not
+     * @param {number|'auto'} [params.scale.interval = 10] - the interval at which to draw the scale. 'auto' picks steps of 1, 2 or 5 × 10ⁿ that fit the available space.
+     * @param {number} [params.scale.color] - the color of the scale lines. Defaults to the grid color of the theme.
+     * @param {number} [params.maxLabelWidth] - the maximum width of the labels in px. Longer labels are shortened with an ellipsis.
+     * @param {boolean} [params.draggable = false] - whether the chart can be dragged
+     * @param {Function} [params.onScroll] - called when the user scrolls on the chart
+     * @param {'svg' | 'canvas'} [params.renderer = 'svg'] - whether the chart is drawn as svg or onto a canvas. A canvas is faster for hundreds of bars.
+     * @param {Object} [params.animation] - options for the transition when the data is replaced with setData.
+     * @param {number} [params.animation.duration = 300] - the duration in ms. 0 disables the animation. It is also skipped if the user prefers reduced motion.
+     * @param {'linear' | 'ease-in' | 'ease-out' | 'ease-in-out' | Function} [params.animation.easing = 'ease-in-out'] - the easing. Functions receive the progress between 0 and 1 and return the eased progress.
+     * @param {'light' | 'dark' | 'auto' | Object} [params.theme = 'light'] - the color theme. 'auto' follows the color scheme of the system. An object overrides single colors of the light theme (background, grid, text, muted, tooltipBackground, tooltipText, palette, scale). The colors can also be set with CSS variables, e.g. --tc-background or --tc-palette.
+     * @throws Will throw an error if the container element is not found.
+     */
+    constructor(element, params) {
+        super(element, params);
+    }
+
+    /**
+     * Sets the options, draws the chart and starts listening to changes of its size
+     * @private
+     * @param {Object} params - the options. See the constructor.
+     */
+    init(params) {
+        // Extract parameters and sets defaults if parameters not available
+        mergeObjects(params, {
+            data: [],
+            padding: {
+                top: 0,
+                right: 0,
+                bottom: 0,
+                left: 0
+            },
+            colors: {
+                fixToTitle: true,
+                background: undefined,
+                text: undefined
+            },
+            orientation: "vertical",
+            font: "Roboto",
+            hover: {
+                visible: true,
+                callback: (title, value) => `<span style="color: gray">${value}</span>${title !== "" ? ": " + title : ""}`
+            },
+            barSize: 25,
+            distance: 'variable',
+            minDistance: 0,
+            adjustSize: false,
+            max: 'relative',
+            scale: {
+                visible: true,
+                interval: 10,
+                color: undefined
+            },
+            draggable: false,
+            onScroll: e => {},
+            maxLabelWidth: undefined,
+            animation: {
+                duration: 300,
+                easing: "ease-in-out"
+            },
+            renderer: "svg",
+            theme: "light"
+        });
+
+        this.options = params;
+        this.data = params.data;
+        this.padding = params.padding;
+        this.max = params.max;
+        this.fixColorToTitle = params.colors.fixToTitle;
+        this.orientation = params.orientation;
+        this.font = params.font;
+        this.hover = params.hover;
+        this.barSize = params.barSize;
+        this.distance = params.distance;
+        this.minDistance = params.minDistance;
+        this.adjustSize = this.distance !== 'variable' && params.adjustSize;
+        this.scale = params.scale;
+        this.draggable = params.draggable;
+        this.onScroll = params.onScroll;
+        this.maxLabelWidth = params.maxLabelWidth;
+        this.animation = params.animation;
+        this.renderer = params.renderer;
+        this.drawing = false;
+
+        this.draw();
+        if (!Draw.renderer.live) { // Charts rendered without a browser are static
+            return;
+        }
+        observeResize(this);
+        observeColorScheme(this);
+
+        if (this.draggable) { // Ends dragging even if the mouse is released outside of the chart
+            listen(this, document, "mouseup", () => this.dragStart = undefined);
+        }
+    }
+
+    /**
+     * Takes the colors that are not set in the options from the theme
+     * @private
+     */
+    applyTheme() {
+        this.theme = resolveTheme(this.container, this.options.theme);
+        this.foregroundColors = this.theme.palette;
+        this.backgroundColor = this.options.colors.background || this.theme.grid;
+        this.textColor = this.options.colors.text || this.theme.text;
+        this.scaleColor = this.options.scale.color || this.theme.grid;
+    }
+
+    /**
+     * Draws the chart in its orientation
+     * @private
+     */
+    draw() {
+        this.applyTheme();
+        drawChart(this, () => this.orientation !== "horizontal" ? this.drawVertical() : this.drawHorizontal());
+    }
+
+    /**
+     * Draws a vertical chart
+     * @private
+     */
+    drawVertical() {
+        this.drawing = true;
+        const realHeight = this.container.clientHeight - this.padding.top - this.padding.bottom;
+        const viewboxHeightScale = 100 / realHeight;
+        const barCount = this.data.length;
+        const barWidth = this.barSize;
+        const barHeight = 100 - 25 * viewboxHeightScale;
+
+        if (this.adjustSize) {
+            const width = (barWidth + this.distance) * barCount + this.padding.left + this.padding.right;
+            this.container.style.width = `${width}px`;
+        }
+
+        const realWidth = this.container.clientWidth - this.padding.right - this.padding.left;
+        const viewboxWidthScale = realWidth / 100;
+        const barSpacing = Math.max(this.minDistance, this.distance === 'variable' ? (100 * viewboxWidthScale - (this.scale.visible ? 30 : 0)) / barCount - barWidth : this.distance);
+
+        // Find max value
+        let max = 0
+        if(this.max === 'relative') {
+            max = this.data.reduce((p, c) => Math.max(p, c.datasets.reduce((p, c) => p + c.value, 0)), 0);
+        } else {
+            max = this.max;
+        }
+
+        const valueMap = {};
+
+        if(viewboxWidthScale <= 0) {
+            clear(this.container);
+            return;
+        }
+
+        this.svg = Draw.svg(`calc(100% - ${this.padding.right + this.padding.left}px)`, `calc(100% - ${this.padding.top + this.padding.bottom}px)`, 100 * viewboxWidthScale, 100);
+
+        // Padding
+        this.svg.style.paddingTop = this.padding.top;
+        this.svg.style.paddingRight = this.padding.right;
+        this.svg.style.paddingBottom = this.padding.bottom;
+        this.svg.style.paddingLeft = this.padding.left;
+        this.svg.style.boxSizing = "initial";
+
+        // Draw scale
+        const scaleValues = this.scaleValues(max, barHeight / viewboxHeightScale, 20);
+
+        if(this.scale.visible) {
+            for(const value of scaleValues) {
+                const line = Draw.rect(30, barHeight - value / max * barHeight, realWidth, 1 * viewboxHeightScale, this.scaleColor);
+                this.svg.appendChild(line);
+            }
+        }
+
+        // Draw data
+        this.dataContainer = Draw.group();
+        this.svg.appendChild(this.dataContainer);
+
+        for (let i = 0; i < barCount; i++) {
+            const label = this.data[i].label || "";
+            const key = this.data[i].label !== undefined ? this.data[i].label : i; // Identifies the bar in transitions
+
+            const rx = barWidth / 2;
+            const ry = barWidth / 2 * viewboxHeightScale;
+
+            const background = Draw.path(
+                `M ${(this.scale.visible ? 30 : 0) + (i + 0.5) * barSpacing + i * barWidth},${0} m 0, ${barHeight - ry} a ${rx},${ry} 0 0 0 ${barWidth},0 v ${ry * 2 - barHeight} a ${rx},${ry} 0 0 0 ${-barWidth},0 z`,
+                this.backgroundColor,
+                {"shape-rendering": "crispEdges"}
+            );
+            this.dataContainer.appendChild(keyElement(this, ["bar", key], background));
+
+            let y = 0; // height of the bar. Contains the position at which to draw the next rectangle
+
+            for (let j = 0; j < this.data[i].datasets.length; j++) {
+                const value = this.data[i].datasets[j].value || 0;
+                const title = this.data[i].datasets[j].title || "";
+                let color = this.data[i].datasets[j].color || "";
+
+                if(color === "") {
+                    if(this.fixColorToTitle){
+                        if (!(title in valueMap)) { // sub-category has not be encountered before
+                            color = this.foregroundColors[Object.keys(valueMap).length % this.foregroundColors.length];
+                            valueMap[title] = color;
+                        } else {
+                            color = valueMap[title];
+                        }
+                    } else {
+                        color = this.foregroundColors[j % this.foregroundColors.length];
+                    }
+                }
+
+                const height = (barHeight * value / max);
+                if(height > 0 && y < barHeight) {
+                    const foreground = keyElement(this, ["block", key, this.data[i].datasets[j].title !== undefined ? this.data[i].datasets[j].title : j], Draw.path(
+                        createVerticalBar((this.scale.visible ? 30 : 0) + (i + 0.5) * barSpacing + i * barWidth, barHeight, rx, ry, height, y, barHeight),
+                        color,
+                        {"shape-rendering": "crispEdges"}
+                    ));
+
+                    if (this.hover.visible) {
+                        onElement(foreground, 'mouseenter', evt => { this.showTooltip(true, foreground, value, title) });
+                        onElement(foreground, "mouseleave", evt => { this.showTooltip(false) });
+                    }
+
+                    if (y < barHeight) { // only draw the part if it would not overshoot
+                        this.dataContainer.appendChild(foreground);
+                    }
+
+                    y = y + height;
+                }
+            }
+
+            const text = Draw.text((this.scale.visible ? 30 : 0) + (i + 0.5) * (barSpacing + barWidth), barHeight + (20 * viewboxHeightScale), fitText(label, this.maxLabelWidth, this.font), this.textColor, this.font, {"style": "user-select: none;"});
+            text.setAttribute("transform", `scale(1,${viewboxHeightScale}) translate(0, ${parseFloat(text.getAttribute("y")) / viewboxHeightScale - parseFloat(text.getAttribute("y"))})`);
+            this.dataContainer.appendChild(keyElement(this, ["label", key], text));
+        }
+
+        // Draw scale text
+        if(this.scale.visible) {
+            const rect = Draw.rect(0, 0, 30, 100, this.theme.background);
+            this.svg.appendChild(rect);
+            for(const value of scaleValues) {
+                const text = Draw.text(0, barHeight - value / max * barHeight, value, this.textColor, this.font, { "text-anchor": "start", "alignment-baseline": "central", "style": "user-select: none;" });
+                text.setAttribute("transform", `scale(1,${viewboxHeightScale}) translate(0, ${parseFloat(text.getAttribute("y")) / viewboxHeightScale - parseFloat(text.getAttribute("y"))})`);
+                this.svg.appendChild(text);
+            }
+        }
+
+        mountChart(this);
+
+        if(this.draggable && Draw.renderer.live) {
+            let currentTranslate = 0;
+            
+            this.svg.addEventListener('mousedown',e => this.dragStart = e.clientX);
+            this.svg.addEventListener("mousemove", e => {
+                if(this.dragStart) {
+                    let newPos = currentTranslate + e.clientX - this.dragStart;
+                    newPos = Math.min(0, newPos);
+                    newPos = Math.max(newPos, -Math.max(0, (this.scale.visible ? 30 : 0) + 0.5 * barSpacing + this.dataContainer.getBoundingClientRect().width - realWidth));
+
+                    this.dataContainer.style.transform = `translateX(${newPos}px)`;
+                } else {
+                    currentTranslate = parseFloat(this.dataContainer.style.transform.replace("translateX(", "").replace("px)", "")) || 0;
+                }
+            });
+        }
+
+        this.svg.addEventListener("wheel", this.onScroll);
+        this.drawing = false;
+    }
+
+    /**
+     * Draws a horizontal chart
+     * @private
+     */
+    drawHorizontal() {
+        this.drawing = true;
+        const realWidth = this.container.clientWidth - this.padding.right - this.padding.left;
+        const viewboxWidthScale = 100 / realWidth;
+        const barCount = this.data.length;
+        const textWidth = this.data.reduce((p, c) => Math.max(p, c.label !== undefined && c.label.length > 0 ? (20 + measureText(fitText(c.label, this.maxLabelWidth, this.font), this.font)) * viewboxWidthScale : 0), 0);
+        const barWidth = 100 - textWidth;
+        const barHeight = this.barSize;
+
+        if (this.adjustSize) {
+            const height = (barCount + this.distance) * barHeight + this.padding.top + this.padding.bottom;
+            this.container.style.height = `${height}px`;
+        }
+
+        const realHeight = this.container.clientHeight - this.padding.top - this.padding.bottom;
+        const viewboxHeightScale = realHeight / 100;
+        const barSpacing = Math.max(this.minDistance, this.distance === 'variable' ? (100 * viewboxHeightScale - (this.scale.visible ? 30 : 0)) / barCount - barHeight : this.distance);
+
+        // Find max value
+        let max = 0
+        if(this.max === 'relative') {
+            max = this.data.reduce((p, c) => Math.max(p, c.datasets.reduce((p, c) => p + c.value, 0)), 0);
+        } else {
+            max = this.max;
+        }
+
+        const valueMap = {};
+
+        if(viewboxHeightScale <= 0) {
+            clear(this.container);
+            return;
+        }
+  
+        this.svg = Draw.svg(`calc(100% - ${this.padding.right + this.padding.left}px)`, `calc(100% - ${this.padding.top + this.padding.bottom}px)`, 100, 100 * viewboxHeightScale);
+
+        // Padding
+        this.svg.style.paddingTop = this.padding.top;
+        this.svg.style.paddingRight = this.padding.right;
+        this.svg.style.paddingBottom = this.padding.bottom;
+        this.svg.style.paddingLeft = this.padding.left;
+        this.svg.style.boxSizing = "initial";
+
+        // Draw scale
+        const scaleValues = this.scaleValues(max, barWidth / viewboxWidthScale, measureText(max, this.font) + 15);
+
+        if(this.scale.visible) {
+            for(const value of scaleValues) {
+                const line = Draw.rect(textWidth + value / max * barWidth, 30, 1 * viewboxWidthScale, realHeight, this.scaleColor);
+                this.svg.appendChild(line);
+            }
+        }
+
+        // Draw data
+        this.dataContainer = Draw.group();
+        this.svg.appendChild(this.dataContainer);
+
+        for (let i = 0; i < barCount; i++) {
+            const label = this.data[i].label || "";
+            const key = this.data[i].label !== undefined ? this.data[i].label : i; // Identifies the bar in transitions
+
+            const rx = barHeight / 2 * viewboxWidthScale;
+            const ry = barHeight / 2;
+
+            const background = Draw.path(
+                `M ${textWidth + rx}, ${(this.scale.visible ? 30 : 0) + (i + 0.5) * barSpacing + i * barHeight} a ${rx},${ry} 0 0 0 0,${barHeight} h ${barWidth - rx * 2} a ${rx},${ry} 0 0 0 0,${-barHeight} z`,
+                this.backgroundColor,
+                {"shape-rendering": "crispEdges"}
+            );
+            this.dataContainer.appendChild(keyElement(this, ["bar", key], background));
+
+            let x = 0; // width of the bar. Contains the position at which to draw the next rectangle
+
+            for (let j = 0; j < this.data[i].datasets.length; j++) {
+                const value = this.data[i].datasets[j].value || 0;
+                const title = this.data[i].datasets[j].title || "";
+                let color = this.data[i].datasets[j].color || "";
+
+                if(color === "") {
+                    if(this.fixColorToTitle){
+                        if (!(title in valueMap)) { // sub-category has not be encountered before
+                            color = this.foregroundColors[Object.keys(valueMap).length % this.foregroundColors.length];
+                            valueMap[title] = color;
+                        } else {
+                            color = valueMap[title];
+                        }
+                    } else {
+                        color = this.foregroundColors[j % this.foregroundColors.length];
+                    }
+                }
+
+                const width = (barWidth * value / max);
+                if(width > 0 && x < barWidth) {
+                    const foreground = keyElement(this, ["block", key, this.data[i].datasets[j].title !== undefined ? this.data[i].datasets[j].title : j], Draw.path(
+                        createHorizontalBar(textWidth, (this.scale.visible ? 30 : 0) + (i + 0.5) * barSpacing + i * barHeight, rx, ry, width, x, barWidth),
+                        color,
+                        {"shape-rendering": "crispEdges"}
+                    ));
+
+                    if (this.hover.visible) {
+                        onElement(foreground, 'mouseenter', evt => { this.showTooltip(true, foreground, value, title) });
+                        onElement(foreground, "mouseleave", evt => { this.showTooltip(false) });
+                    }
+    
+                    if (x < barWidth) { // only draw the part if it would not overshoot
+                        this.dataContainer.appendChild(foreground);
+                    }
+    
+                    x = x + width;
+                }     
+            }
+
+            const text = Draw.text(0, (this.scale.visible ? 30 : 0) + (i + 0.5) * (barSpacing + barHeight), fitText(label, this.maxLabelWidth, this.font), this.textColor, this.font, { "text-anchor": "start", "alignment-baseline": "central", "style": "user-select: none;" });
+            text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
+            this.dataContainer.appendChild(keyElement(this, ["label", key], text));
+        }
+
+         // Draw scale text
+         if(this.scale.visible) {
+            const rect = Draw.rect(0, 0, 100, 30, this.theme.background);
+            this.svg.appendChild(rect);
+            for(const value of scaleValues) {
+                const text = Draw.text(textWidth + value / max * barWidth, 20, value, this.textColor, this.font, { "text-anchor": "middle", "style": "user-select: none;" });
+                text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
+                this.svg.appendChild(text);
+            }
+        }
+
+        mountChart(this);
+
+        if(this.draggable && Draw.renderer.live) {
+            let currentTranslate = 0;
+            
+            this.svg.addEventListener('mousedown',e => this.dragStart = e.clientY);
+            this.svg.addEventListener("mousemove", e => {
+                if(this.dragStart) {
+                    let newPos = currentTranslate + e.clientY - this.dragStart;
+                    newPos = Math.min(0, newPos);
+                    newPos = Math.max(newPos, -Math.max(0, (this.scale.visible ? 30 : 0) + 0.5 * barSpacing + this.dataContainer.getBoundingClientRect().height - realHeight));
+
+                    this.dataContainer.style.transform = `translateY(${newPos}px)`;
+                } else {
+                    currentTranslate = parseFloat(this.dataContainer.style.transform.replace("translateY(", "").replace("px)", "")) || 0;
+                }
+            });
+        }
+
+        this.svg.addEventListener("wheel", this.onScroll);
+        this.drawing = false;
+    }
+
+    /**
+     * Calculates the values at which lines and labels of the scale are drawn
+     * @private
+     * @param {number} max - the max value of the chart
+     * @param {number} size - the length of the bars in px
+     * @param {number} minSpacing - the minimum distance between two labels in px
+     * @returns {number[]} - the values (excluding 0 and max)
+     */
+    scaleValues(max, size, minSpacing) {
+        if (!(max > 0) || !(size > 0)) {
+            return [];
+        }
+
+        let interval = this.scale.interval;
+        if (interval === "auto" || interval >= max) { // A fixed interval larger than max would not show any scale
+            interval = niceValueInterval(max, size, minSpacing);
+        } else { // Skip labels that would overlap
+            interval = interval * Math.max(1, Math.ceil(minSpacing / (interval / max * size)));
+        }
+
+        const values = [];
+        for (let i = 1; i * interval < max; i++) { // Skip the first bar
+            values.push(parseFloat((i * interval).toPrecision(12))); // Avoids rounding errors like 0.30000000000000004
+        }
+        return values;
+    }
+
+    /**
+     * Draws a tooltip at the horizontal center of the element
+     * @private
+     * @param {boolean} show - Whether to show or hide the tooltip
+     * @param {Object} g - the element on which the tooltip is centered
+     * @param {number|string} value - the value of the element
+     * @param {number|string} title - the title of the element
+     */
+    showTooltip(show, g, value, title) {
+        toggleTooltip(this, show, () => this.hover.callback(title, value), tooltipAbove(g, 43));
+    }
+
+    /**
+     * Replaces the existing data with new data.
+     * @param {array} [data] - the data to be displayed
+     * @param {string[]} [data.labels] - the labels underneath each bar
+     * @param {Object[]} [data.datasets] - each dataset represents one "block" of a bar. To create a stacked bar chart have multiple datasets.
+     * @param {number[]} data.datasets[].values - the values for each "block" of a bar. Should be between 0 and 1. 
+     * @param {string} [data.datasets[].title] - the title for the dataset.
+     */
+    setData(data) {
+        transitionData(this, data);
+    }
+}
+
+/**
+ * Creates a timeline
+ * @class
+ */
+class Timeline extends Chart {
+    /**
+     * Constructs a timeline
+     * @constructor
+     * @param {string|HTMLElement} element - the container dom element into which the chart is placed or a css query selector for it.
+     * @param {Object} [params] - options.
+     * @param {Object} [params.lineHeight = 25] - the hight of a bar in a timeline in px.
+     * @param {Object} [params.scale] - options for the scale at the top of the timelines
+     * @param {number|Date|string} [params.scale.from = 0] - the time at which the timeline should start. Defaults to the start of the first day of the data if absolute times are used.
+     * @param {number|Date|string} [params.scale.to = 1440] - the time at which the timeline should end. Defaults to the end of the last day of the data if absolute times are used.
+     * @param {'minutes' | 'milliseconds'} [params.scale.unit = 'minutes'] - whether numbers are minutes (e.g. minutes of the day) or milliseconds since the unix epoch. Dates and ISO strings are always absolute.
+     * @param {number|'auto'} [params.scale.interval = 240] - the interval in minutes at which labels are shown on the scale. 'auto' picks an interval (e.g. 5 minutes, 1 hour or 6 hours) that fits the available width.
+     * @param {number} [params.scale.intervalStart = 0] - the point at which the interval starts counting.
+     * @param {array} [params.data] - the data to be displayed.
+     * @param {Object[]} [params.data.timelines] - each object represents one timeline. For multiple timelines under each other, have multiple objects.
+     * @param {string} [params.data.timelines[].label] - the label to the right of the timeline.
+     * @param {Object[]} params.data.timelines[].values - the values (marked time slots).
+     * @param {number|Date|string} params.data.timelines[].values[].start - the point at which the time slot starts.
+     * @param {number|Date|string} [params.data.timelines[].values[].end] - the point at which the time slot ends. Either end or length must be set.
+     * @param {number} [params.data.timelines[].values[].length] - the length of the time slot in minutes.
+     * @param {string} [params.data.timelines[].values[].title] - the title of the time slot.
+     * @param {string[]} [params.data.timelines[].colors] - the colors for the timeline. Defaults to the palette of the theme. Groups use the first color for their summary row.
+     * @param {Object[]} [params.data.timelines[].children] - makes the timeline a group (e.g. a team) that holds these timelines. Groups have no values of their own but show a summary row with the union of the time slots of their children. Groups can be nested.
+     * @param {boolean} [params.data.timelines[].collapsed = false] - whether the children of a group are hidden. Clicking the label of a group toggles this property.
+     * @param {Object} [params.padding] - padding in all directions of the chart.
+     * @param {number|string} [params.padding.top] - top padding for the chart.
+     * @param {number|string} [params.padding.right] - right padding for the chart.
+     * @param {number|string} [params.padding.bottom] - bottom padding for the chart.
+     * @param {number|string} [params.padding.left] - left padding for the chart.
+     * @param {Object} [params.colors] - custom colors
+     * @param {string} [params.colors.background] - the color of the background of the bars (not the color of background of the whole chart). Defaults to the grid color of the theme.
+     * @param {string} [params.colors.text] - the color of the text. Defaults to the text color of the theme.
+     * @param {string} [params.round = true] - if the timeline is round.
+     * @param {string} [params.font = 'Roboto'] - the font for all writing. Font must be imported separately.
+     * @param {Object} [params.hover] - options for the hover effect.
+     * @param {boolean} [params.hover.visible = true] - whether the titles should be shown on hover or not.
+     * @param {Function} [params.hover.callback] - function that returns html that is displayed in the hover effect. Receives (title, start, end). Start and end are Dates if absolute times are used, minutes otherwise.
+     * @param {Function} [params.hover.annotationCallback] - function that returns html that is displayed when hovering an annotation. Receives (label, start, end). End is undefined for markers.
+     * @param {Object} [params.legend] - options for the legend.
+     * @param {boolean} [params.legend.visible = true] - whether a legend should be shown underneath the timelines.
+     * @param {number} [params.legend.distance = 15] - distance from the last timeline to the legend in px. Always set to 0 if params.legend.visible === false.
+     * @param {number} [params.legend.textColor = "white"] - the color of the text in the legend.
+     * @param {number} [params.legend.textWidth = "variable"] - distance between the legend text and the legend.
+     * @param {boolean} [params.legend.interactive = true] - whether clicking a legend entry hides or shows its title and hovering it highlights its title.
+     * @param {'variable' | number} [params.distance = 'variable'] - whether the distance between timelines should be variable (based on svg size) or a fixed number of px.
+     * @param {boolean} [params.adjustSize = false] - whether the size of the container should be adjusted based on the needed space. Only works if params.distance != 'variable' and in horizontal orientation.
+     * @param {number} [params.maxLabelWidth] - the maximum width of the labels and legend titles in px. Longer texts are shortened with an ellipsis.
+     * @param {Object} [params.statistics] - options for the summary columns between the label and the timeline.
+     * @param {boolean} [params.statistics.visible = true] - whether the summary columns are shown.
+     * @param {Array<'busy'|'idle'|'utilization'|'count'|Function>} [params.statistics.columns = ['busy']] - the columns. Busy and idle time as well as the utilization refer to the range of the scale; overlapping time slots are only counted once. Functions receive (statistics, timeline) and return a string. See getStatistics for the format.
+     * @param {'horizontal' | 'vertical'} [params.orientation = 'horizontal'] - orientation for the chart. In vertical orientation time runs from top to bottom and each timeline is a column, like in a calendar. Ranges of several days are split into one column per day. Zooming and editing are only available in horizontal orientation.
+     * @param {'overlay' | 'stack'} [params.overlap = 'overlay'] - whether overlapping time slots of a timeline are drawn on top of each other or stacked into sub-lanes. Stacked timelines grow in height.
+     * @param {Object} [params.zoom] - options for zooming and panning along the time axis.
+     * @param {boolean} [params.zoom.enabled = false] - whether the user can zoom (mouse wheel or pinch) and pan (drag).
+     * @param {number} [params.zoom.minRange = 15] - the smallest visible range in minutes.
+     * @param {number} [params.zoom.maxRange] - the largest visible range in minutes. Defaults to the range of the scale, in which case panning and zooming also stop at its start and end.
+     * @param {Function} [params.onRangeChange] - called when the user zooms or pans. Receives (from, to) as Dates if absolute times are used, minutes otherwise.
+     * @param {Object} [params.format] - options for formatting times and durations.
+     * @param {string|string[]} [params.format.locale] - the locale, e.g. "de-DE". Defaults to the locale of the browser.
+     * @param {boolean} [params.format.hour12] - whether to use a 12-hour clock. Defaults to the convention of the locale.
+     * @param {string} [params.format.timeZone] - the IANA time zone in which absolute times are shown, e.g. "Europe/Berlin". Defaults to the local time zone.
+     * @param {Function} [params.format.time] - custom formatter for the scale and the hover effect. Receives a Date if absolute times are used, the minutes of the day otherwise.
+     * @param {Function} [params.format.duration] - custom formatter for the busy and idle times and the legend. Receives the minutes.
+     * @param {Function} [params.format.day] - custom formatter for the day labels. Receives the start of the day as a Date if absolute times are used, the index of the day otherwise.
+     * @param {Object} [params.edit] - options for editing time slots with the mouse.
+     * @param {boolean} [params.edit.enabled = false] - whether time slots can be moved (drag), resized (drag an edge) and created (drag across the background).
+     * @param {number} [params.edit.snap = 15] - the grid in minutes to which edited time slots snap. 0 disables snapping.
+     * @param {Function} [params.onChange] - called when the user moved or resized a time slot. Receives (value, oldValue, timeline). Return false to undo the change.
+     * @param {Function} [params.onCreate] - called when the user created a time slot. Receives (value, timeline). Return false to discard the time slot.
+     * @param {Object} [params.now] - options for the current time.
+     * @param {boolean} [params.now.visible = false] - whether a line at the current time is drawn across all timelines.
+     * @param {boolean} [params.now.live = false] - whether running time slots (time slots without end and length) are extended up to the current time.
+     * @param {number} [params.now.updateInterval = 60000] - how often the current time is updated in ms.
+     * @param {string} [params.now.color = "#ff5858"] - the color of the line and its label.
+     * @param {Object[]} [params.annotations] - annotations drawn behind the time slots. Ranges (with end or length) are shaded, markers (only start) are drawn as lines.
+     * @param {number|Date|string} params.annotations[].start - the start of the range or the time of the marker.
+     * @param {number|Date|string} [params.annotations[].end] - the end of the range.
+     * @param {number} [params.annotations[].length] - the length of the range in minutes.
+     * @param {string} [params.annotations[].label] - the label that is shown on hover.
+     * @param {string} [params.annotations[].color] - the color. Defaults to a transparent gray for ranges and orange for markers.
+     * @param {Array<string|number>} [params.annotations[].timelines] - labels or indices of the timelines the annotation belongs to. Defaults to all timelines.
+     * @param {boolean} [params.annotations[].daily = false] - whether the annotation is repeated every day (e.g. working hours).
+     * @param {'svg' | 'canvas'} [params.renderer = 'svg'] - whether the timeline is drawn as svg or onto a canvas. A canvas is faster for thousands of time slots.
+     * @param {Object} [params.animation] - options for the transition when the data is replaced with setData.
+     * @param {number} [params.animation.duration = 300] - the duration in ms. 0 disables the animation. It is also skipped if the user prefers reduced motion.
+     * @param {'linear' | 'ease-in' | 'ease-out' | 'ease-in-out' | Function} [params.animation.easing = 'ease-in-out'] - the easing. Functions receive the progress between 0 and 1 and return the eased progress.
+     * @param {'light' | 'dark' | 'auto' | Object} [params.theme = 'light'] - the color theme. 'auto' follows the color scheme of the system. An object overrides single colors of the light theme (background, grid, text, muted, tooltipBackground, tooltipText, palette, scale). The colors can also be set with CSS variables, e.g. --tc-background or --tc-palette.
+     * @throws Will throw an error if the container element is not found.
+     */
+    constructor(element, params) {
+        super(element, params);
+    }
+
+    /**
+     * Sets the options, draws the chart and starts listening to changes of its size
+     * @private
+     * @param {Object} params - the options. See the constructor.
+     */
+    init(params) {
+        // Extract parameters and sets defaults if parameters not available
+        mergeObjects(params, {
+            scale: {
+                from: undefined,
+                to: undefined,
+                unit: "minutes",
+                interval: 240,
+                intervalStart: 0
+            },
+            data: {
+                timelines: [],
+            },
+            padding: {
+                top: 0,
+                right: 0,
+                bottom: 0,
+                left: 0
+            },
+            colors: {
+                background: undefined,
+                text: undefined
+            },
+            font: "Roboto",
+            hover: {
+                visible: true,
+                callback: (title, start, end) => `<span style="color: gray">${this.formatter.time(start)} - ${this.formatter.time(end)}</span>${title !== "" ? ": " + title : ""}`,
+                annotationCallback: (label, start, end) => `<span style="color: gray">${this.formatter.time(start)}${end !== undefined ? " - " + this.formatter.time(end) : ""}</span>${label !== "" ? ": " + label : ""}`
+            },
+            legend: {
+                visible: true,
+                distance: 15,
+                textColor: "white",
+                textWidth: "variable",
+                interactive: true
+            },
+            round: true,
+            lineHeight: 25,
+            distance: 'variable',
+            adjustSize: false,
+            maxLabelWidth: undefined,
+            statistics: {
+                visible: true,
+                columns: undefined
+            },
+            orientation: "horizontal",
+            overlap: "overlay",
+            zoom: {
+                enabled: false,
+                minRange: 15,
+                maxRange: undefined
+            },
+            onRangeChange: (from, to) => {},
+            format: {
+                locale: undefined,
+                hour12: undefined,
+                timeZone: undefined,
+                time: undefined,
+                duration: undefined,
+                day: undefined
+            },
+            edit: {
+                enabled: false,
+                snap: 15
+            },
+            onChange: (value, oldValue, timeline) => {},
+            onCreate: (value, timeline) => {},
+            now: {
+                visible: false,
+                live: false,
+                updateInterval: 60000,
+                color: "#ff5858"
+            },
+            annotations: [],
+            animation: {
+                duration: 300,
+                easing: "ease-in-out"
+            },
+            renderer: "svg",
+            theme: "light"
+        });
+
+        this.options = params;
+        this.scale = params.scale;
+        this.data = params.data;
+        this.padding = params.padding;
+        this.font = params.font;
+        this.hover = params.hover;
+        this.legend = params.legend.visible;
+        this.legendDistance = params.legend.distance;
+        this.legendTextColor = params.legend.textColor;
+        this.legendTextWidth = params.legend.textWidth;
+        this.legendInteractive = params.legend.interactive;
+        this.hiddenCategories = this.hiddenCategories || new Set(); // Kept when the options are updated
+        this.lineHeight = params.lineHeight;
+        this.distance = params.distance;
+        this.adjustSize = this.distance !== 'variable' && params.adjustSize;
+        this.drawing = false;
+        this.round = params.round;
+        this.orientation = params.orientation;
+        this.overlap = params.overlap;
+        this.maxLabelWidth = params.maxLabelWidth;
+        this.statistics = params.statistics.visible ? params.statistics.columns || ["busy"] : [];
+        this.zoom = params.zoom;
+        this.onRangeChange = params.onRangeChange;
+        this.range = undefined; // Visible range in minutes if zoomed or panned
+        this.formatter = new Formatter(params.format);
+        this.timeZone = params.format.timeZone;
+        this.edit = params.edit;
+        this.onChange = params.onChange;
+        this.onCreate = params.onCreate;
+        this.editing = undefined; // The time slot that is currently edited
+        this.now = params.now;
+        this.annotations = params.annotations;
+        this.animation = params.animation;
+        this.renderer = params.renderer;
+
+        this.draw();
+        if (!Draw.renderer.live) { // Charts rendered without a browser are static
+            return;
+        }
+        observeResize(this);
+        observeColorScheme(this);
+        onDestroy(this, () => this.drawRequested = false);
+
+        if (this.zoom.enabled && this.orientation !== "vertical") {
+            this.addZoomListeners();
+        }
+
+        if (this.now.visible || this.now.live) {
+            this.nowTimer = setInterval(() => this.updateNow(), this.now.updateInterval);
+            onDestroy(this, () => clearInterval(this.nowTimer));
+        }
+
+        if (this.edit.enabled && this.orientation !== "vertical") {
+            listen(this, window, "mousemove", e => {
+                if (this.editing) {
+                    this.moveEdit(e.clientX);
+                }
+            });
+            listen(this, window, "mouseup", () => {
+                if (this.editing) {
+                    this.endEdit();
+                }
+            });
+        }
+    }
+
+    /**
+     * Takes the colors that are not set in the options from the theme
+     * @private
+     */
+    applyTheme() {
+        this.theme = resolveTheme(this.container, this.options.theme);
+        this.backgroundColor = this.options.colors.background || this.theme.grid;
+        this.textColor = this.options.colors.text || this.theme.text;
+    }
+
+    /**
+     * Draws the timeline
+     * @private
+     */
+    draw() {
+        this.applyTheme();
+        drawChart(this, () => this.orientation === "vertical" ? this.drawVertical() : this.drawHorizontal());
+    }
+
+    /**
+     * Draws the timeline with time running from left to right and one row per timeline
+     * @private
+     */
+    drawHorizontal() {
+        this.drawing = true;
+        this.absolute = this.isAbsolute();
+        this.rows = timelineRows(this.data.timelines, 0);
+        const slots = this.rows.map(r => this.getSlots(r.timeline));
+        const drawnSlots = slots.map((s, i) => this.rows[i].group ? this.unionSlots(s) : s); // Groups show the union of their children
+        const realWidth = this.container.clientWidth - this.padding.right - this.padding.left;
+        const viewboxWidthScale = 100 / realWidth;
+        const indent = 15; // Indentation of children in px
+        const lineCount = this.rows.length;
+        const labels = this.rows.map(r => rowLabel(r, this.maxLabelWidth, this.font, "bold"));
+        const [scaleFrom, scaleTo] = this.getRange(slots);
+        const summaries = slots.map((s, i) => this.formatStatistics(this.calculateStatistics(s, scaleFrom, scaleTo), i));
+        const textWidth1 = rowLabelWidth(labels, this.rows, this.font, indent, () => "bold", "middle") * viewboxWidthScale;
+        const columnWidths = this.statistics.map((c, j) => summaries.reduce((p, c) => Math.max(p, c[j] !== "" ? (10 + measureText(c[j], this.font)) * viewboxWidthScale : 0), 0));
+        const textWidth2 = columnWidths.reduce((p, c) => p + c, 0);
+        const widthLeft = this.legendTextWidth === "variable" ? Math.max(textWidth1 + textWidth2, 20 * viewboxWidthScale) : this.legendTextWidth * viewboxWidthScale;
+        const widthRight = 20 * viewboxWidthScale;
+        const [from, to] = this.range || [scaleFrom, scaleTo];
+        const dayBoundaries = timeBoundaries(from, to, "day", this.absolute, this.timeZone);
+        const dayHeight = this.absolute || dayBoundaries.length > 0 ? 20 : 0; // Extra row for the day labels
+        const scaleHeight = 20 + dayHeight;
+        const lineWidth = 100 - widthLeft - widthRight;
+        const lineHeight = this.lineHeight;
+        let legendLines = this.legend ? 1 : 0;
+        const legendRows = this.legend ? this.legendEntries() : []; // Includes the children of collapsed groups so that their categories can still be toggled
+        if(this.legend) {
+            let x = 0;
+            for (const entries of legendRows) {
+                for (let key of Object.keys(entries)) {
+                    const width = (measureText(this.legendContent(key, entries[key].value, lineWidth / viewboxWidthScale - lineHeight), this.font) * viewboxWidthScale) + 2 * (lineHeight / 2 * viewboxWidthScale);
+                    if(x + width > lineWidth) {
+                        legendLines++;
+                        x = 0;
+                    }
+                    x = x + width + 10 * viewboxWidthScale;
+                }
+            }
+        }
+        
+        const legendHeight = this.legend ? lineHeight : 10;
+        const legendTotalHeight = this.legend ? (legendHeight + 10) * legendLines - 10 : 0;
+        const legendSpacing = this.legend ? this.legendDistance : 0;
+
+        // Each timeline is as high as the number of its sub-lanes
+        const laneCounts = drawnSlots.map(s => this.overlap === "stack" ? packLanes(s.filter(v => !this.isHidden(v.title))) : 1);
+        const rowHeights = laneCounts.map(l => l * lineHeight);
+        const rowsHeight = rowHeights.reduce((p, c) => p + c, 0);
+
+        if (this.adjustSize) {
+            const height = scaleHeight + legendTotalHeight + legendSpacing + rowsHeight + lineCount * this.distance + this.padding.top + this.padding.bottom;
+            this.container.style.height = `${height}px`;
+        }
+
+        const realHeight = this.container.clientHeight - this.padding.top - this.padding.bottom;
+        const viewboxHeightScale = realHeight / 100;
+        const { lineSpacing, scaleStart, rowTops } = rowLayout(rowHeights, this.distance, 100 * viewboxHeightScale - scaleHeight - legendHeight - legendSpacing, scaleHeight);
+
+        if(viewboxHeightScale <= 0) {
+            clear(this.container);
+            return;
+        }
+
+        this.svg = Draw.svg(`calc(100% - ${this.padding.right + this.padding.left}px)`, `calc(100% - ${this.padding.top + this.padding.bottom}px)`, 100, 100 * viewboxHeightScale);
+
+        // Padding
+        this.svg.style.paddingTop = this.padding.top;
+        this.svg.style.paddingRight = this.padding.right;
+        this.svg.style.paddingBottom = this.padding.bottom;
+        this.svg.style.paddingLeft = this.padding.left;
+        this.svg.style.boxSizing = "initial";
+
+        // Draw scale
+        const labelSpacing = measureText(this.formatter.time(this.toTime(this.absolute ? startOfDay(from, this.timeZone) + 1350 : 1350)), this.font) + 15; // Width of a long label (10:30 pm)
+        const auto = this.scale.interval === "auto" || this.range !== undefined; // Pick an interval that fits the visible range if zoomed in or out
+        let interval = auto ? niceTimeInterval(to - from, lineWidth / viewboxWidthScale, labelSpacing) : this.scale.interval;
+        interval = interval * Math.max(1, Math.ceil(labelSpacing / (interval / (to - from) * lineWidth / viewboxWidthScale))); // Skip labels that would overlap
+
+        let ticks = [];
+        if (!auto && !this.absolute) {
+            const intervalSteps = Math.floor((to - from) / interval);
+
+            for (let i = 0; i <= intervalSteps; i++) {
+                ticks.push(from + this.scale.intervalStart + i * interval);
+            }
+        } else if (interval < 1440) { // Align the labels to the clock. Larger intervals are covered by the day labels
+            ticks = timeBoundaries(from - 0.001, to + 0.001, interval, this.absolute, this.timeZone);
+        }
+
+        for (const tick of ticks) {
+            const text = Draw.text(widthLeft + (tick - from) / (to - from) * lineWidth, scaleStart + dayHeight, this.formatter.time(this.toTime(tick)), this.textColor, this.font, { "text-anchor": "middle", "alignment-baseline": "text-before-edge" });
+            text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
+            this.svg.appendChild(text);
+        }
+
+        // Draw day boundaries
+        const dayLabelSpacing = (measureText(this.formatter.day(this.absolute ? new Date(from * 60000) : 0), this.font) + 15) * viewboxWidthScale;
+        let lastDayLabel = -Infinity;
+        for (const boundary of [from].concat(dayBoundaries)) {
+            const dayX = widthLeft + (boundary - from) / (to - from) * lineWidth;
+
+            if (boundary !== from) {
+                const line = Draw.rect(dayX - (0.5 * viewboxWidthScale), scaleStart, (1 * viewboxWidthScale), scaleHeight, this.textColor);
+                this.svg.appendChild(line);
+            }
+
+            if (dayHeight > 0 && dayX - lastDayLabel >= dayLabelSpacing) { // Skip labels that would overlap
+                const text = Draw.text(dayX + (4 * viewboxWidthScale), scaleStart, this.formatter.day(this.absolute ? new Date(boundary * 60000) : Math.floor(boundary / 1440)), this.textColor, this.font, { "text-anchor": "start", "alignment-baseline": "text-before-edge" });
+                text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
+                this.svg.appendChild(text);
+                lastDayLabel = dayX;
+            }
+        }
+
+        // Hourly stripes, quarter-hourly when zoomed in and none if they would be too close to each other
+        const hourWidth = 60 / (to - from) * lineWidth / viewboxWidthScale; // in px
+        const stripes = hourWidth < 5 ? [] : timeBoundaries(from, to, hourWidth > 120 ? 15 : 60, this.absolute, this.timeZone);
+
+        let x = 0;
+        let y = 0;
+        const rx = lineHeight / 2 * viewboxWidthScale;
+        const ry = lineHeight / 2;
+        this.categoryElements = []; // Slots and legend entries for highlighting
+
+        // Draw data
+        for (let i = 0; i < lineCount; i++) {
+            const row = this.rows[i];
+            const label = labels[i];
+            const key = row.timeline.label !== undefined ? row.timeline.label : i; // Identifies the timeline in transitions
+            const values = drawnSlots[i];
+            const colors = row.timeline.colors || this.theme.palette;
+            const valueMap = {}; // Helper to calculate grouped values and store color codes
+
+            const startCreate = e => {
+                if (e.button !== 0) {
+                    return;
+                }
+
+                e.preventDefault();
+                e.stopPropagation(); // Do not pan
+                this.startEdit("create", i, undefined, e.clientX);
+            };
+
+            for (let lane = 0; lane < laneCounts[i]; lane++) {
+                const laneTop = rowTops[i] + lane * lineHeight;
+
+                // Draw background
+                // Gray background
+                const background = Draw.path(
+                    `M ${widthLeft + rx}, ${laneTop} a ${rx},${ry} 0 0 0 0,${lineHeight} h ${lineWidth - rx * 2} a ${rx},${ry} 0 0 0 0,${-lineHeight} z`,
+                    this.backgroundColor
+                );
+                this.svg.appendChild(background);
+
+                if (this.edit.enabled && !row.group) {
+                    background.addEventListener("mousedown", startCreate);
+                }
+
+                // White stripes each hour
+                for (const stripe of stripes) {
+                    const rect = Draw.rect(widthLeft + (stripe - from) / (to - from) * lineWidth - (1 * viewboxWidthScale), laneTop, (2 * viewboxWidthScale), lineHeight, this.theme.background, { "pointer-events": "none" });
+                    this.svg.appendChild(rect);
+                }
+
+                // Line at the start of each day
+                for (const day of dayBoundaries) {
+                    const rect = Draw.rect(widthLeft + (day - from) / (to - from) * lineWidth - (0.5 * viewboxWidthScale), laneTop, (1 * viewboxWidthScale), lineHeight, this.textColor, { "pointer-events": "none" });
+                    this.svg.appendChild(rect);
+                }
+            }
+
+            // Draw annotations
+            for (const annotation of this.getAnnotations(i, from, to)) {
+                let element;
+
+                if (annotation.end !== undefined) { // Shaded range
+                    const relativeStart = (Math.max(from, annotation.start) - from) / (to - from);
+                    const relativeEnd = (Math.min(to, annotation.end) - from) / (to - from);
+                    element = Draw.rect(widthLeft + lineWidth * relativeStart, rowTops[i], lineWidth * (relativeEnd - relativeStart), rowHeights[i], annotation.color || "rgba(0, 0, 0, 0.1)");
+                } else { // Marker with a wider invisible area for hovering
+                    const markerX = widthLeft + (annotation.start - from) / (to - from) * lineWidth;
+                    element = Draw.group();
+                    element.appendChild(Draw.rect(markerX - (1 * viewboxWidthScale), rowTops[i], (2 * viewboxWidthScale), rowHeights[i], annotation.color || "#ffa00a"));
+                    element.appendChild(Draw.rect(markerX - (5 * viewboxWidthScale), rowTops[i], (10 * viewboxWidthScale), rowHeights[i], "transparent"));
+                }
+                this.svg.appendChild(element);
+
+                if (this.edit.enabled && !row.group) {
+                    element.addEventListener("mousedown", startCreate);
+                }
+
+                if (this.hover.visible) {
+                    const end = annotation.end !== undefined ? this.toTime(annotation.end) : undefined;
+                    element.addEventListener('mouseenter', evt => { if (!this.editing) this.showTooltip(true, element, this.toTime(annotation.start), end, annotation.label, this.hover.annotationCallback) });
+                    element.addEventListener("mouseleave", evt => { this.showTooltip(false) });
+                }
+            }
+
+            // Draw foreground
+            for (let j = 0; j < values.length; j++) {
+                const title = values[j].title || "";
+
+                let color = "";
+
+                if (!(title in valueMap)) { // sub-category has not be encountered before
+                    color = colors[Object.keys(valueMap).length % colors.length];
+                    valueMap[title] = {
+                        color: color,
+                        value: values[j].length
+                    }
+                } else {
+                    color = valueMap[title].color;
+                    valueMap[title].value = valueMap[title].value + values[j].length;
+                }
+
+                if (this.isHidden(title) || values[j].end <= from || values[j].start >= to) { // Slot is hidden or outside of the visible range
+                    continue;
+                }
+
+                // Clip the slot to the visible range
+                const relativeStart = (Math.max(from, values[j].start) - from) / (to - from);
+                const relativeLength = (Math.min(to, values[j].end) - from) / (to - from);
+
+                let foreground;
+                const width = (lineWidth * (relativeLength - relativeStart));
+                const slotTop = rowTops[i] + (values[j].lane || 0) * lineHeight;
+
+                const polarToCartesian = (centerX, centerY, radius, angleInDegrees) => {
+                    const angleInRadians = (angleInDegrees - 90) * Math.PI / 180.0;
+
+                    return {
+                        x: centerX + (radius * Math.cos(angleInRadians)),
+                        y: centerY + (radius * Math.sin(angleInRadians))
+                    };
+                }
+
+                const partialCircle = (x, y, radius, startAngle, endAngle) => {
+
+                    const start = polarToCartesian(x, y, radius, endAngle);
+                    const end = polarToCartesian(x, y, radius, startAngle);
+
+                    const largeArcFlag = endAngle - startAngle <= 180 ? "0" : "1";
+
+                    const d = [
+                        "M", start.x, start.y,
+                        "A", radius, radius, 0, largeArcFlag, 0, end.x, end.y,
+                        "L",
+                    ].join(" ");
+
+                    return d;
+                }
+                const steepness = 0.05; // The smaller, the rounder
+
+                if(this.round) {
+                    if (width - rx * 2 < 0) { // bar to short to form circle
+                        foreground = Draw.path(
+                            `M ${widthLeft + lineWidth * relativeStart + width / 2}, ${slotTop} c ${-(width / 2 / 0.75)} ${lineHeight * steepness}, ${-(width / 2 / 0.75)} ${lineHeight * (1 - steepness)}, 0 ${lineHeight} v ${-lineHeight} c ${width / 2 / 0.75} ${lineHeight * steepness}, ${width / 2 / 0.75} ${lineHeight * (1 - steepness)}, 0 ${lineHeight} z`,
+                            color
+                        );
+                    } else {
+                        foreground = Draw.path(
+                            `M ${widthLeft + lineWidth * relativeStart + rx},${slotTop} a ${rx},${ry} 0 0 0 0,${lineHeight} h ${(lineWidth * (relativeLength - relativeStart)) - rx * 2} a ${rx},${ry} 0 0 0 0,${-lineHeight} z`,
+                            color
+                        );
+                    }
+                } else {
+                    foreground = Draw.path(
+                        `M ${widthLeft + lineWidth * relativeStart},${slotTop} h ${(lineWidth * (relativeLength - relativeStart))} v ${lineHeight} h ${-(lineWidth * (relativeLength - relativeStart))} z`,
+                        color
+                    );
+                }
+
+                foreground = keyElement(this, ["slot", key, title], foreground);
+                this.svg.appendChild(foreground);
+                this.categoryElements.push({ title, element: foreground });
+
+                if (this.edit.enabled && values[j].value !== undefined) {
+                    this.addSlotListeners(foreground, i, values[j]);
+                }
+
+                if (this.hover.visible) {
+                    onElement(foreground, 'mouseenter', evt => { if (!this.editing) this.showTooltip(true, foreground, this.toTime(values[j].start), this.toTime(values[j].end), title) });
+                    onElement(foreground, "mouseleave", evt => { this.showTooltip(false) });
+                }
+            }
+
+            // Draw label
+            const labelX = rowLabelX(row, textWidth1, indent * viewboxWidthScale, "middle");
+            const text = Draw.text(labelX, rowTops[i] + 0.5 * rowHeights[i], label, this.textColor, this.font, { "text-anchor": "middle", "alignment-baseline": "central", "font-weight": "bold" });
+            text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
+            if (row.group) {
+                text.style.cursor = "pointer";
+                text.style.userSelect = "none";
+            }
+
+            const labelElement = keyElement(this, ["label", key], text);
+            this.svg.appendChild(labelElement);
+            if (row.group) {
+                onElement(labelElement, "click", () => {
+                    row.timeline.collapsed = !row.timeline.collapsed;
+                    this.draw();
+                });
+            }
+
+            // Draw statistics
+            let columnX = textWidth1;
+            for (let j = 0; j < summaries[i].length; j++) {
+                const text2 = Draw.text(columnX, rowTops[i] + 0.5 * rowHeights[i], summaries[i][j], this.textColor, this.font, { "text-anchor": "start", "alignment-baseline": "central" });
+                text2.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text2.getAttribute("x")) / viewboxWidthScale - parseFloat(text2.getAttribute("x"))}, 0)`);
+                this.svg.appendChild(text2);
+                columnX += columnWidths[j];
+            }
+
+        }
+
+        // Draw legend
+        for (const entries of legendRows) {
+            for (let key of Object.keys(entries)) {
+                const content = this.legendContent(key, entries[key].value, lineWidth / viewboxWidthScale - lineHeight);
+                const width = (measureText(content, this.font) * viewboxWidthScale) + 2 * rx;
+                if(x + width > lineWidth) {
+                    x = 0;
+                    y += legendHeight + 10;
+                }
+
+                const hidden = this.isHidden(key);
+                const pill = Draw.group();
+                this.svg.appendChild(pill);
+
+                const legend = Draw.path(
+                    `M ${widthLeft + x + rx},${scaleStart + legendSpacing + scaleHeight + (lineCount - 1) * lineSpacing + rowsHeight + y} a ${rx},${ry} 0 0 0 0,${legendHeight} h ${width - rx * 2} a ${rx},${ry} 0 0 0 0,${-legendHeight} z`,
+                    hidden ? this.backgroundColor : entries[key].color
+                );
+                pill.appendChild(legend);
+
+                const text = Draw.text(widthLeft + x + 0.5 * width, scaleStart + legendSpacing + legendHeight * 0.5 + scaleHeight + (lineCount - 1) * lineSpacing + rowsHeight + y, content, hidden ? this.textColor : this.legendTextColor, this.font, { "text-anchor": "middle", "alignment-baseline": "central" });
+                text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
+                pill.appendChild(text);
+
+                this.categoryElements.push({ title: key, element: pill });
+                if (this.legendInteractive) {
+                    pill.style.cursor = "pointer";
+                    pill.addEventListener("click", () => hidden ? this.showCategory(key) : this.hideCategory(key));
+                    pill.addEventListener("mouseenter", () => this.highlightCategory(key));
+                    pill.addEventListener("mouseleave", () => this.highlightCategory());
+                }
+
+                x = x + width + 10 * viewboxWidthScale; // previous x, width of the rectangle and padding
+            }
+        }
+
+        // Needed to convert mouse positions into times
+        this.layout = {
+            from,
+            to,
+            scaleFrom,
+            scaleTo,
+            scaleRange: scaleTo - scaleFrom,
+            widthLeft,
+            lineWidth
+        };
+
+        // Draw current time
+        this.nowIndicator = undefined;
+        if (this.now.visible) {
+            const rowsBottom = lineCount > 0 ? rowTops[lineCount - 1] + rowHeights[lineCount - 1] : scaleStart + scaleHeight;
+            this.drawNow(scaleStart + dayHeight, rowsBottom, viewboxWidthScale);
+        }
+        
+        mountChart(this);
+        this.drawing = false;
+    }
+
+    /**
+     * Draws the timeline with time running from top to bottom and one column per timeline (and day)
+     * @private
+     */
+    drawVertical() {
+        this.drawing = true;
+        this.absolute = this.isAbsolute();
+        this.rows = timelineRows(this.data.timelines, 0);
+        const slots = this.rows.map(r => this.getSlots(r.timeline));
+        const drawnSlots = slots.map((s, i) => this.rows[i].group ? this.unionSlots(s) : s); // Groups show the union of their children
+        const realWidth = this.container.clientWidth - this.padding.right - this.padding.left;
+        const realHeight = this.container.clientHeight - this.padding.top - this.padding.bottom;
+        const viewboxWidthScale = 100 / realWidth;
+        const [scaleFrom, scaleTo] = this.getRange(slots);
+        const [from, to] = this.range || [scaleFrom, scaleTo];
+        const lineHeight = this.lineHeight;
+        const gap = 10 * viewboxWidthScale; // Space between the columns
+
+        if (realHeight <= 0) {
+            clear(this.container);
+            this.drawing = false;
+            return;
+        }
+
+        // Ranges of several days are split into one column per day. All days share the axis, which shows the time of the day.
+        const dayBoundaries = timeBoundaries(from, to, "day", this.absolute, this.timeZone);
+        const dayStart = minutes => this.absolute ? startOfDay(minutes, this.timeZone) : Math.floor(minutes / 1440) * 1440;
+        const days = dayBoundaries.length === 0 ? [{ start: from, end: to, origin: from }] : [from].concat(dayBoundaries).map((d, k, all) => ({
+            start: d,
+            end: k + 1 < all.length ? all[k + 1] : to,
+            origin: dayStart(d)
+        }));
+        const axisFrom = days.reduce((p, c) => Math.min(p, c.start - c.origin), Infinity);
+        const axisTo = days.reduce((p, c) => Math.max(p, c.end - c.origin), -Infinity);
+
+        const columns = [];
+        for (const day of days) {
+            for (let i = 0; i < this.rows.length; i++) {
+                columns.push({ day, row: this.rows[i], i });
+            }
+        }
+
+        // Colors of the titles per timeline, in the same order as in the horizontal orientation
+        const colorMaps = drawnSlots.map((values, i) => {
+            const colors = this.rows[i].timeline.colors || this.theme.palette;
+            const map = {};
+            for (const v of values) {
+                const title = v.title || "";
+                if (!(title in map)) {
+                    map[title] = colors[Object.keys(map).length % colors.length];
+                }
+            }
+            return map;
+        });
+
+        // Header: day, label and statistics of each column
+        const multipleDays = days.length > 1;
+        const hasLabels = this.rows.some(r => r.timeline.label) && !(multipleDays && this.rows.length === 1 && !this.rows[0].group); // The day is enough to tell the columns of a single timeline apart
+        const summaries = columns.map(c => this.formatStatistics(this.calculateStatistics(slots[c.i], c.day.start, c.day.end), c.i).filter(s => s !== "").join(" · "));
+        const hasSummaries = summaries.some(s => s !== "");
+        const headerHeight = 20 * ((multipleDays ? 1 : 0) + (hasLabels ? 1 : 0) + (hasSummaries ? 1 : 0)) + 10;
+
+        // Axis on the left
+        const labelSpacing = measureText(this.formatter.time(this.toTime(this.absolute ? startOfDay(from, this.timeZone) + 1350 : 1350)), this.font) + 15; // Width of a long label (10:30 pm)
+        const widthLeft = labelSpacing * viewboxWidthScale;
+        const plotWidth = 100 - widthLeft - 10 * viewboxWidthScale;
+        const columnWidth = columns.length > 0 ? (plotWidth - gap * (columns.length - 1)) / columns.length : plotWidth;
+
+        // Legend underneath the columns with one entry per title
+        const legendEntries = {};
+        for (const entries of this.legend ? this.legendEntries() : []) { // Includes the children of collapsed groups so that their categories can still be toggled
+            for (const title of Object.keys(entries)) {
+                if (!(title in legendEntries)) {
+                    legendEntries[title] = { color: entries[title].color, value: 0 };
+                }
+                legendEntries[title].value += entries[title].value;
+            }
+        }
+
+        const legendHeight = lineHeight;
+        const legendItems = [];
+        let x = 0;
+        let y = 0;
+        for (const key of Object.keys(legendEntries)) {
+            const content = this.legendContent(key, legendEntries[key].value, plotWidth / viewboxWidthScale - lineHeight);
+            const width = (measureText(content, this.font) * viewboxWidthScale) + lineHeight * viewboxWidthScale;
+            if (x > 0 && x + width > plotWidth) {
+                x = 0;
+                y += legendHeight + 10;
+            }
+            legendItems.push({ key, content, width, x, y });
+            x += width + 10 * viewboxWidthScale;
+        }
+        const legendTotalHeight = legendItems.length > 0 ? y + legendHeight : 0;
+        const legendSpacing = legendItems.length > 0 ? this.legendDistance : 0;
+
+        const plotTop = headerHeight;
+        const plotBottom = realHeight - legendTotalHeight - legendSpacing - 10;
+        const yAt = minutes => plotTop + (minutes - axisFrom) / (axisTo - axisFrom) * (plotBottom - plotTop);
+
+        this.svg = Draw.svg(`calc(100% - ${this.padding.right + this.padding.left}px)`, `calc(100% - ${this.padding.top + this.padding.bottom}px)`, 100, realHeight);
+
+        // Padding
+        this.svg.style.paddingTop = this.padding.top;
+        this.svg.style.paddingRight = this.padding.right;
+        this.svg.style.paddingBottom = this.padding.bottom;
+        this.svg.style.paddingLeft = this.padding.left;
+        this.svg.style.boxSizing = "initial";
+
+        // Draw scale
+        const axisOrigin = days[0].origin;
+        const auto = this.scale.interval === "auto" || this.range !== undefined;
+        let interval = auto ? niceTimeInterval(axisTo - axisFrom, plotBottom - plotTop, 30) : this.scale.interval;
+        interval = interval * Math.max(1, Math.ceil(30 / (interval / (axisTo - axisFrom) * (plotBottom - plotTop)))); // Skip labels that would overlap
+
+        let ticks = [];
+        if (!auto && !this.absolute && !multipleDays) {
+            for (let i = 0; i <= Math.floor((to - from) / interval); i++) {
+                ticks.push(from + this.scale.intervalStart + i * interval);
+            }
+        } else if (interval < 1440) { // Align the labels to the clock
+            ticks = timeBoundaries(axisOrigin + axisFrom - 0.001, axisOrigin + axisTo + 0.001, interval, this.absolute, this.timeZone);
+        }
+
+        for (const tick of ticks) {
+            const text = Draw.text(widthLeft - 5 * viewboxWidthScale, yAt(tick - axisOrigin), this.formatter.time(this.toTime(tick)), this.textColor, this.font, { "text-anchor": "end", "alignment-baseline": "central" });
+            text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
+            this.svg.appendChild(text);
+        }
+
+        // Hourly stripes, quarter-hourly if there is enough space and none if they would be too close to each other
+        const hourHeight = 60 / (axisTo - axisFrom) * (plotBottom - plotTop);
+        const stripes = hourHeight < 5 ? [] : timeBoundaries(axisOrigin + axisFrom, axisOrigin + axisTo, hourHeight > 120 ? 15 : 60, this.absolute, this.timeZone).map(s => s - axisOrigin);
+
+        const now = this.currentTime();
+        this.categoryElements = []; // Slots and legend entries for highlighting
+        this.nowIndicator = undefined;
+
+        // Draw columns
+        columns.forEach((column, k) => {
+            const { day, row, i } = column;
+            const columnX = widthLeft + k * (columnWidth + gap);
+            const top = yAt(day.start - day.origin);
+            const bottom = yAt(day.end - day.origin);
+            let headerY = 0;
+
+            // Header
+            if (multipleDays) {
+                if (i === 0) { // Once per day, centered above all of its columns
+                    const dayX = columnX + 0.5 * (this.rows.length * (columnWidth + gap) - gap);
+                    const text = Draw.text(dayX, headerY + 10, this.formatter.day(this.absolute ? new Date(day.start * 60000) : Math.floor(day.start / 1440)), this.textColor, this.font, { "text-anchor": "middle", "alignment-baseline": "central" });
+                    text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
+                    this.svg.appendChild(text);
+                }
+                headerY += 20;
+            }
+
+            if (hasLabels) {
+                const label = fitText(row.timeline.label || "", Math.min(columnWidth / viewboxWidthScale - (row.group ? 20 : 0), this.maxLabelWidth !== undefined ? this.maxLabelWidth : Infinity), this.font, 14, "bold");
+                const text = Draw.text(columnX + 0.5 * columnWidth, headerY + 10, row.group ? `${row.timeline.collapsed ? "▸" : "▾"} ${label}` : label, this.textColor, this.font, { "text-anchor": "middle", "alignment-baseline": "central", "font-weight": "bold" });
+                text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
+                this.svg.appendChild(text);
+
+                if (row.group) {
+                    text.style.cursor = "pointer";
+                    text.style.userSelect = "none";
+                    text.addEventListener("click", () => {
+                        row.timeline.collapsed = !row.timeline.collapsed;
+                        this.draw();
+                    });
+                }
+                headerY += 20;
+            }
+
+            if (hasSummaries) {
+                const text = Draw.text(columnX + 0.5 * columnWidth, headerY + 10, fitText(summaries[k], columnWidth / viewboxWidthScale, this.font), this.textColor, this.font, { "text-anchor": "middle", "alignment-baseline": "central" });
+                text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
+                this.svg.appendChild(text);
+            }
+
+            // Gray background
+            this.svg.appendChild(Draw.rect(columnX, top, columnWidth, bottom - top, this.backgroundColor, { rx: 4 * viewboxWidthScale, ry: 4 }));
+
+            // White stripes
+            for (const stripe of stripes) {
+                const stripeY = yAt(stripe);
+                if (stripeY > top && stripeY < bottom) {
+                    this.svg.appendChild(Draw.rect(columnX, stripeY - 1, columnWidth, 2, this.theme.background, { "pointer-events": "none" }));
+                }
+            }
+
+            // Draw annotations
+            for (const annotation of this.getAnnotations(i, day.start, day.end)) {
+                let element;
+
+                if (annotation.end !== undefined) { // Shaded range
+                    const rangeTop = yAt(Math.max(day.start, annotation.start) - day.origin);
+                    element = Draw.rect(columnX, rangeTop, columnWidth, yAt(Math.min(day.end, annotation.end) - day.origin) - rangeTop, annotation.color || "rgba(0, 0, 0, 0.1)");
+                } else { // Marker with a wider invisible area for hovering
+                    const markerY = yAt(annotation.start - day.origin);
+                    element = Draw.group();
+                    element.appendChild(Draw.rect(columnX, markerY - 1, columnWidth, 2, annotation.color || "#ffa00a"));
+                    element.appendChild(Draw.rect(columnX, markerY - 5, columnWidth, 10, "transparent"));
+                }
+                this.svg.appendChild(element);
+
+                if (this.hover.visible) {
+                    const end = annotation.end !== undefined ? this.toTime(annotation.end) : undefined;
+                    element.addEventListener('mouseenter', evt => { this.showTooltip(true, element, this.toTime(annotation.start), end, annotation.label, this.hover.annotationCallback) });
+                    element.addEventListener("mouseleave", evt => { this.showTooltip(false) });
+                }
+            }
+
+            // Draw foreground. Overlapping time slots are placed next to each other if they are stacked.
+            const values = drawnSlots[i].filter(v => !this.isHidden(v.title) && v.end > day.start && v.start < day.end);
+            const laneCount = this.overlap === "stack" ? packLanes(values) : 1;
+            const laneWidth = columnWidth / laneCount;
+
+            for (const value of values) {
+                const title = value.title || "";
+                const slotTop = yAt(Math.max(day.start, value.start) - day.origin);
+                const slotHeight = yAt(Math.min(day.end, value.end) - day.origin) - slotTop;
+                const slotX = columnX + (this.overlap === "stack" ? value.lane : 0) * laneWidth;
+                const slotWidth = laneWidth - (laneCount > 1 ? 2 * viewboxWidthScale : 0);
+
+                let foreground = Draw.group();
+                foreground.appendChild(Draw.rect(slotX, slotTop, slotWidth, slotHeight, colorMaps[i][title], this.round ? { rx: 4 * viewboxWidthScale, ry: Math.min(4, slotHeight / 2) } : {}));
+
+                // Title and duration inside the block if they fit
+                const lines = [title, this.formatter.duration(value.length)].filter(l => l !== "");
+                for (let l = 0; l < lines.length && (l + 1) * 16 + 4 <= slotHeight; l++) {
+                    const content = fitText(lines[l], slotWidth / viewboxWidthScale - 8, this.font, 12);
+                    if (content === "…") {
+                        break;
+                    }
+
+                    const text = Draw.text(slotX + 4 * viewboxWidthScale, slotTop + 2 + l * 16, content, this.legendTextColor, this.font, { "text-anchor": "start", "alignment-baseline": "text-before-edge", "font-size": "12px", "pointer-events": "none" });
+                    text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
+                    foreground.appendChild(text);
+                }
+
+                foreground = keyElement(this, ["slot", row.timeline.label !== undefined ? row.timeline.label : i, day.start, title], foreground);
+                this.svg.appendChild(foreground);
+                this.categoryElements.push({ title, element: foreground });
+
+                if (this.hover.visible) {
+                    onElement(foreground, 'mouseenter', evt => { this.showTooltip(true, foreground, this.toTime(value.start), this.toTime(value.end), title) });
+                    onElement(foreground, "mouseleave", evt => { this.showTooltip(false) });
+                }
+            }
+
+            // Draw current time
+            if (this.now.visible && now >= day.start && now < day.end) {
+                this.svg.appendChild(Draw.rect(columnX, yAt(now - day.origin) - 1, columnWidth, 2, this.now.color, { "pointer-events": "none" }));
+            }
+        });
+
+        // Draw legend
+        for (const item of legendItems) {
+            const rx = lineHeight / 2 * viewboxWidthScale;
+            const ry = lineHeight / 2;
+            const legendTop = plotBottom + 10 + legendSpacing + item.y;
+            const hidden = this.isHidden(item.key);
+            const pill = Draw.group();
+            this.svg.appendChild(pill);
+
+            pill.appendChild(Draw.path(
+                `M ${widthLeft + item.x + rx},${legendTop} a ${rx},${ry} 0 0 0 0,${legendHeight} h ${item.width - rx * 2} a ${rx},${ry} 0 0 0 0,${-legendHeight} z`,
+                hidden ? this.backgroundColor : legendEntries[item.key].color
+            ));
+
+            const text = Draw.text(widthLeft + item.x + 0.5 * item.width, legendTop + legendHeight * 0.5, item.content, hidden ? this.textColor : this.legendTextColor, this.font, { "text-anchor": "middle", "alignment-baseline": "central" });
+            text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
+            pill.appendChild(text);
+
+            this.categoryElements.push({ title: item.key, element: pill });
+            if (this.legendInteractive) {
+                pill.style.cursor = "pointer";
+                pill.addEventListener("click", () => hidden ? this.showCategory(item.key) : this.hideCategory(item.key));
+                pill.addEventListener("mouseenter", () => this.highlightCategory(item.key));
+                pill.addEventListener("mouseleave", () => this.highlightCategory());
+            }
+        }
+
+        mountChart(this);
+        this.drawing = false;
+    }
+
+    /**
+     * Calculates the current time
+     * @private
+     * @returns {number} - the current time in minutes (minutes of the day if no absolute times are used)
+     */
+    currentTime() {
+        const now = Date.now() / 60000;
+        if (this.absolute) {
+            return now;
+        }
+
+        const offset = timeZoneOffset(now, this.timeZone);
+        return (((now + offset) % 1440) + 1440) % 1440;
+    }
+
+    /**
+     * Draws the line and the label for the current time
+     * @private
+     * @param {number} top - the y-coordinate at which the line starts
+     * @param {number} bottom - the y-coordinate at which the line ends
+     * @param {number} viewboxWidthScale - the factor to convert px into viewbox units
+     */
+    drawNow(top, bottom, viewboxWidthScale) {
+        const group = Draw.group();
+        group.setAttribute("pointer-events", "none");
+
+        const line = Draw.rect(0, top, 2 * viewboxWidthScale, bottom - top, this.now.color);
+        const label = Draw.rect(0, top, 0, 18, this.now.color, { rx: 3 * viewboxWidthScale, ry: 3 });
+        const text = Draw.text(0, top + 9, "", "white", this.font, { "text-anchor": "middle", "alignment-baseline": "central", "font-size": "12px" });
+        group.appendChild(line);
+        group.appendChild(label);
+        group.appendChild(text);
+        this.svg.appendChild(group);
+
+        this.nowIndicator = { group, line, label, text, viewboxWidthScale };
+        this.moveNow();
+    }
+
+    /**
+     * Moves the line and the label to the current time without redrawing the timeline
+     * @private
+     */
+    moveNow() {
+        const { group, line, label, text, viewboxWidthScale } = this.nowIndicator;
+        const { from, to, widthLeft, lineWidth } = this.layout;
+        const now = this.currentTime();
+
+        if (now < from || now > to) {
+            group.setAttribute("display", "none");
+            return;
+        }
+
+        const x = widthLeft + (now - from) / (to - from) * lineWidth;
+        const content = this.formatter.time(this.toTime(now));
+        const labelWidth = (measureText(content, this.font, 12) + 10) * viewboxWidthScale;
+
+        group.removeAttribute("display");
+        line.setAttribute("x", x - viewboxWidthScale);
+        label.setAttribute("x", x - labelWidth / 2);
+        label.setAttribute("width", labelWidth);
+        text.textContent = content;
+        text.setAttribute("x", x);
+        text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${x / viewboxWidthScale - x}, 0)`);
+    }
+
+    /**
+     * Called by the timer. Moves the current time and extends running time slots.
+     * @private
+     */
+    updateNow() {
+        if (this.drawing || this.editing) {
+            return;
+        }
+
+        const running = this.now.live && leafTimelines(this.data.timelines).some(t => (t.values || []).some(v => v.end === undefined && v.length === undefined));
+        if (running || (this.orientation === "vertical" && this.now.visible)) { // Sums and the legend change as well
+            this.requestDraw();
+        } else if (this.nowIndicator) {
+            this.moveNow();
+        }
+    }
+
+    /**
+     * Redraws the timeline with the next animation frame. Multiple requests are combined into one redraw.
+     * @private
+     */
+    requestDraw() {
+        if (this.drawRequested) {
+            return;
+        }
+
+        this.drawRequested = true;
+        const draw = () => {
+            if (!this.drawRequested) { // Cancelled because the timeline was destroyed
+                return;
+            }
+            this.drawRequested = false;
+            this.draw();
+        };
+
+        if (typeof requestAnimationFrame === "function") {
+            requestAnimationFrame(draw);
+        } else {
+            setTimeout(draw, 16);
+        }
+    }
+
+    /**
+     * Converts a horizontal mouse position into a time
+     * @private
+     * @param {number} clientX - the x-coordinate of the mouse relative to the viewport
+     * @returns {number} - the time in minutes
+     */
+    timeAt(clientX) {
+        const rect = this.svg.getBoundingClientRect();
+        const width = rect.width - this.padding.left - this.padding.right;
+        const x = (clientX - rect.left - this.padding.left) / width * 100; // x-coordinate in the viewbox
+        return this.layout.from + (x - this.layout.widthLeft) / this.layout.lineWidth * (this.layout.to - this.layout.from);
+    }
+
+    /**
+     * Calculates how many px one minute takes up on the screen
+     * @private
+     * @returns {number} - px per minute
+     */
+    pxPerMinute() {
+        const rect = this.svg.getBoundingClientRect();
+        const width = rect.width - this.padding.left - this.padding.right;
+        return width * this.layout.lineWidth / 100 / (this.layout.to - this.layout.from);
+    }
+
+    /**
+     * Changes the visible range after the user zoomed or panned
+     * @private
+     * @param {number} from - the new start in minutes
+     * @param {number} to - the new end in minutes
+     * @param {number} [anchor] - the time in minutes that should stay in place if the range has to be limited
+     */
+    changeRange(from, to, anchor) {
+        const minRange = this.zoom.minRange;
+        const maxRange = this.zoom.maxRange !== undefined ? this.zoom.maxRange : this.layout.scaleRange;
+        const range = Math.min(maxRange, Math.max(minRange, to - from));
+
+        if (range !== to - from) {
+            anchor = anchor !== undefined ? anchor : (from + to) / 2;
+            from = anchor - (anchor - from) / (to - from) * range;
+            to = from + range;
+        }
+
+        if (this.zoom.maxRange === undefined) { // Keep the range within the scale instead of panning into empty time
+            const shift = Math.max(0, this.layout.scaleFrom - from) - Math.max(0, to - this.layout.scaleTo);
+            from += shift;
+            to += shift;
+        }
+
+        this.range = [from, to];
+        this.requestDraw();
+        this.onRangeChange(this.toTime(from), this.toTime(to));
+    }
+
+    /**
+     * Registers the mouse and touch listeners for zooming and panning
+     * @private
+     */
+    addZoomListeners() {
+        let dragStart; // Position and range at the start of a drag
+        let pinchStart; // Distance between the fingers, anchor and range at the start of a pinch
+
+        this.container.style.cursor = "grab";
+        onDestroy(this, () => this.container.style.cursor = "");
+
+        const startDrag = clientX => {
+            dragStart = { x: clientX, from: this.layout.from, to: this.layout.to, pxPerMinute: this.pxPerMinute() };
+            this.container.style.cursor = "grabbing";
+        };
+
+        const drag = clientX => {
+            const delta = (clientX - dragStart.x) / dragStart.pxPerMinute;
+            this.changeRange(dragStart.from - delta, dragStart.to - delta);
+        };
+
+        listen(this, this.container, "wheel", e => {
+            if (!this.layout) {
+                return;
+            }
+
+            e.preventDefault();
+            if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) { // Horizontal scrolling pans
+                const delta = e.deltaX / this.pxPerMinute();
+                this.changeRange(this.layout.from + delta, this.layout.to + delta);
+            } else { // Vertical scrolling (and pinching on touchpads) zooms at the mouse position
+                const factor = Math.exp(e.deltaY * (e.deltaMode === 1 ? 0.05 : 0.002));
+                const anchor = this.timeAt(e.clientX);
+                this.changeRange(anchor - (anchor - this.layout.from) * factor, anchor + (this.layout.to - anchor) * factor, anchor);
+            }
+        }, { passive: false });
+
+        listen(this, this.container, "mousedown", e => {
+            if (e.button !== 0 || !this.layout) {
+                return;
+            }
+
+            e.preventDefault();
+            startDrag(e.clientX);
+        });
+
+        listen(this, window, "mousemove", e => {
+            if (dragStart) {
+                drag(e.clientX);
+            }
+        });
+
+        listen(this, window, "mouseup", () => {
+            if (dragStart) {
+                dragStart = undefined;
+                this.container.style.cursor = "grab";
+            }
+        });
+
+        listen(this, this.container, "touchstart", e => {
+            if (!this.layout) {
+                return;
+            }
+
+            if (e.touches.length === 1) {
+                startDrag(e.touches[0].clientX);
+            } else if (e.touches.length === 2) {
+                dragStart = undefined;
+                pinchStart = {
+                    distance: Math.abs(e.touches[0].clientX - e.touches[1].clientX),
+                    anchor: this.timeAt((e.touches[0].clientX + e.touches[1].clientX) / 2),
+                    from: this.layout.from,
+                    to: this.layout.to
+                };
+            }
+        });
+
+        listen(this, this.container, "touchmove", e => {
+            if (pinchStart && e.touches.length === 2) {
+                e.preventDefault();
+                const distance = Math.abs(e.touches[0].clientX - e.touches[1].clientX);
+                const factor = pinchStart.distance / Math.max(distance, 1);
+                const anchor = pinchStart.anchor;
+                this.changeRange(anchor - (anchor - pinchStart.from) * factor, anchor + (pinchStart.to - anchor) * factor, anchor);
+            } else if (dragStart && e.touches.length === 1) {
+                e.preventDefault();
+                drag(e.touches[0].clientX);
+            }
+        }, { passive: false });
+
+        listen(this, this.container, "touchend", e => {
+            if (e.touches.length === 0) {
+                dragStart = undefined;
+                pinchStart = undefined;
+            }
+        });
+    }
+
+    /**
+     * Rounds a time to the snapping grid
+     * @private
+     * @param {number} minutes - the time in minutes
+     * @returns {number} - the rounded time in minutes
+     */
+    snapTime(minutes) {
+        const snap = this.edit.snap;
+        if (!snap) {
+            return minutes;
+        }
+
+        const offset = this.absolute ? timeZoneOffset(minutes, this.timeZone) : 0; // Snap to the local time
+        return Math.round((minutes + offset) / snap) * snap - offset;
+    }
+
+    /**
+     * Checks whether the mouse is at the start or end of a time slot
+     * @private
+     * @param {number} clientX - the x-coordinate of the mouse relative to the viewport
+     * @param {Object} slot - the time slot
+     * @returns {'start' | 'end' | undefined} - the edge at the mouse position
+     */
+    slotEdge(clientX, slot) {
+        const pxPerMinute = this.pxPerMinute();
+        const time = this.timeAt(clientX);
+
+        if ((slot.end - slot.start) * pxPerMinute < 18) { // Too small to grab an edge
+            return undefined;
+        } else if (Math.abs(time - slot.start) * pxPerMinute <= 6) {
+            return "start";
+        } else if (Math.abs(slot.end - time) * pxPerMinute <= 6) {
+            return "end";
+        }
+        return undefined;
+    }
+
+    /**
+     * Registers the listeners that move and resize a time slot
+     * @private
+     * @param {Object} element - the svg element of the time slot
+     * @param {number} timelineIndex - the index of the timeline
+     * @param {Object} slot - the time slot
+     */
+    addSlotListeners(element, timelineIndex, slot) {
+        onElement(element, "mousemove", e => {
+            if (!this.editing) {
+                element.style.cursor = this.slotEdge(e.clientX, slot) ? "ew-resize" : "move";
+            }
+        });
+
+        onElement(element, "mousedown", e => {
+            if (e.button !== 0) {
+                return;
+            }
+
+            e.preventDefault();
+            e.stopPropagation(); // Do not pan
+            const edge = this.slotEdge(e.clientX, slot);
+            this.startEdit(edge ? `resize-${edge}` : "move", timelineIndex, slot, e.clientX);
+        });
+    }
+
+    /**
+     * Starts moving, resizing or creating a time slot
+     * @private
+     * @param {'move' | 'resize-start' | 'resize-end' | 'create'} mode - what the user does
+     * @param {number} timelineIndex - the index of the timeline
+     * @param {Object} [slot] - the time slot (not needed for creating)
+     * @param {number} clientX - the x-coordinate of the mouse relative to the viewport
+     */
+    startEdit(mode, timelineIndex, slot, clientX) {
+        const anchor = this.timeAt(clientX);
+        this.showTooltip(false);
+        this.editing = {
+            mode,
+            timeline: this.rows[timelineIndex].timeline,
+            index: slot ? slot.index : undefined,
+            value: slot ? slot.value : undefined,
+            anchor: mode === "create" ? this.snapTime(anchor) : anchor,
+            originalStart: slot ? slot.start : undefined,
+            originalEnd: slot ? slot.end : undefined,
+            start: slot ? slot.start : this.snapTime(anchor),
+            end: slot ? slot.end : this.snapTime(anchor)
+        };
+    }
+
+    /**
+     * Updates the edited time slot while the mouse moves
+     * @private
+     * @param {number} clientX - the x-coordinate of the mouse relative to the viewport
+     */
+    moveEdit(clientX) {
+        const editing = this.editing;
+        const time = this.timeAt(clientX);
+        const delta = time - editing.anchor;
+        const minLength = this.edit.snap || 1;
+        let start = editing.start;
+        let end = editing.end;
+
+        if (editing.mode === "move") {
+            start = this.snapTime(editing.originalStart + delta);
+            end = start + (editing.originalEnd - editing.originalStart);
+        } else if (editing.mode === "resize-start") {
+            start = Math.min(this.snapTime(editing.originalStart + delta), editing.originalEnd - minLength);
+        } else if (editing.mode === "resize-end") {
+            end = Math.max(this.snapTime(editing.originalEnd + delta), editing.originalStart + minLength);
+        } else {
+            start = Math.min(editing.anchor, this.snapTime(time));
+            end = Math.max(editing.anchor, this.snapTime(time));
+        }
+
+        if (start !== editing.start || end !== editing.end) {
+            editing.start = start;
+            editing.end = end;
+            this.requestDraw();
+        }
+    }
+
+    /**
+     * Finishes moving, resizing or creating a time slot and calls the callbacks
+     * @private
+     */
+    endEdit() {
+        const editing = this.editing;
+        this.editing = undefined;
+
+        if (editing.mode === "create") {
+            if (editing.end > editing.start) {
+                const value = this.toValue(editing.start, editing.end);
+                if (this.onCreate(value, editing.timeline) !== false) {
+                    editing.timeline.values = editing.timeline.values || [];
+                    editing.timeline.values.push(value);
+                }
+            }
+        } else if (editing.start !== editing.originalStart || editing.end !== editing.originalEnd) {
+            const value = this.toValue(editing.start, editing.end, editing.value);
+            if (this.onChange(value, editing.value, editing.timeline) !== false) {
+                editing.timeline.values[editing.index] = value;
+            }
+        }
+
+        this.draw();
+    }
+
+    /**
+     * Converts a start and end in minutes into a value in the format used by the data
+     * @private
+     * @param {number} start - the start in minutes
+     * @param {number} end - the end in minutes
+     * @param {Object} [original] - the value that was changed. Its format (end or length, Date, ISO string or number) is kept.
+     * @returns {Object} - the value
+     */
+    toValue(start, end, original) {
+        const convert = (minutes, template) => {
+            if (template instanceof Date) {
+                return new Date(minutes * 60000);
+            } else if (typeof template === "string") {
+                return new Date(minutes * 60000).toISOString();
+            } else if (this.scale.unit === "milliseconds") {
+                return minutes * 60000;
+            }
+            return minutes;
+        };
+
+        if (original === undefined) { // New time slots use Dates if absolute times are used, minutes otherwise
+            const template = this.absolute ? new Date() : 0;
+            return this.absolute ? { start: convert(start, template), end: convert(end, template), title: "" } : { start, length: end - start, title: "" };
+        }
+
+        const value = Object.assign({}, original, { start: convert(start, original.start) });
+        if (original.end !== undefined) {
+            value.end = convert(end, original.end);
+        } else {
+            value.length = end - start;
+        }
+        return value;
+    }
+
+    /**
+     * Changes the visible range of the timeline. Call without parameters to show the range of the scale again.
+     * @param {number|Date|string} [from] - the new start of the visible range.
+     * @param {number|Date|string} [to] - the new end of the visible range.
+     */
+    setRange(from, to) {
+        if (from === undefined || to === undefined) {
+            this.range = undefined;
+        } else {
+            this.range = [toMinutes(from, this.scale.unit), toMinutes(to, this.scale.unit)];
+        }
+        this.draw();
+    }
+
+    /**
+     * Checks whether the timeline uses absolute times (Dates, ISO strings or epoch milliseconds) instead of minutes
+     * @private
+     * @returns {boolean} - whether absolute times are used
+     */
+    isAbsolute() {
+        const unit = this.scale.unit;
+        if (isAbsoluteTime(this.scale.from, unit) || isAbsoluteTime(this.scale.to, unit)) {
+            return true;
+        } else if (this.annotations.some(a => isAbsoluteTime(a.start, unit) || isAbsoluteTime(a.end, unit))) {
+            return true;
+        }
+        return leafTimelines(this.data.timelines).some(t => (t.values || []).some(v => isAbsoluteTime(v.start, unit) || isAbsoluteTime(v.end, unit)));
+    }
+
+    /**
+     * Adds up the time slots of every timeline without children per title, also of timelines in collapsed groups
+     * @private
+     * @returns {Object[]} - per timeline the titles with their color and total length in minutes, in the order they are drawn
+     */
+    legendEntries() {
+        return leafTimelines(this.data.timelines).map(timeline => {
+            const colors = timeline.colors || this.theme.palette;
+            const entries = {};
+            for (const slot of this.getSlots(timeline)) {
+                const title = slot.title || "";
+                if (!(title in entries)) {
+                    entries[title] = { color: colors[Object.keys(entries).length % colors.length], value: 0 };
+                }
+                entries[title].value += slot.length;
+            }
+            return entries;
+        });
+    }
+
+    /**
+     * Merges the visible time slots of the children of a group into the time slots of its summary row
+     * @private
+     * @param {Object[]} slots - the time slots of all children
+     * @returns {Object[]} - the non-overlapping time slots (start, end, length and an empty title)
+     */
+    unionSlots(slots) {
+        return mergeSlots(slots.filter(s => s.value !== undefined && !this.isHidden(s.title))).map(s => ({
+            start: s.start,
+            end: s.end,
+            length: s.end - s.start,
+            title: ""
+        }));
+    }
+
+    /**
+     * Converts the values of a timeline into time slots with start and end in minutes
+     * @private
+     * @param {Object} timeline - the timeline. The time slots of a group are those of all its children.
+     * @returns {Object[]} - the time slots (start, end, length, title and the original value)
+     */
+    getSlots(timeline) {
+        if (Array.isArray(timeline.children)) {
+            return [].concat.apply([], timeline.children.map(t => this.getSlots(t)));
+        }
+
+        const editing = this.editing !== undefined && this.editing.timeline === timeline ? this.editing : undefined;
+        const slots = (timeline.values || []).map((v, index) => {
+            const running = v.end === undefined && v.length === undefined;
+            let start = toMinutes(v.start, this.scale.unit);
+            let end = v.end !== undefined ? toMinutes(v.end, this.scale.unit) : start + (v.length || 0);
+
+            if (running && this.now.live) {
+                end = Math.max(start, this.currentTime());
+            }
+
+            if (editing && editing.index === index) { // Show the time slot at its new position while it is dragged
+                start = editing.start;
+                end = editing.end;
+            }
+
+            return {
+                start,
+                end,
+                length: end - start,
+                title: v.title,
+                value: v,
+                index,
+                running
+            };
+        });
+
+        if (editing && editing.mode === "create" && editing.end > editing.start) {
+            slots.push({
+                start: editing.start,
+                end: editing.end,
+                length: editing.end - editing.start,
+                title: ""
+            });
+        }
+        return slots;
+    }
+
+    /**
+     * Finds the annotations of a timeline within the visible range. Daily annotations are repeated for each day.
+     * @private
+     * @param {number} timelineIndex - the index of the timeline
+     * @param {number} from - the start of the visible range in minutes
+     * @param {number} to - the end of the visible range in minutes
+     * @returns {Object[]} - the annotations (start, end, label and color). End is undefined for markers.
+     */
+    getAnnotations(timelineIndex, from, to) {
+        const unit = this.scale.unit;
+        const label = this.rows[timelineIndex].timeline.label;
+        const dayStart = minutes => this.absolute ? startOfDay(minutes, this.timeZone) : Math.floor(minutes / 1440) * 1440;
+        const result = [];
+
+        for (const annotation of this.annotations) {
+            if (annotation.timelines !== undefined && !annotation.timelines.some(t => t === timelineIndex || t === label)) {
+                continue;
+            }
+
+            const start = toMinutes(annotation.start, unit);
+            const end = annotation.end !== undefined ? toMinutes(annotation.end, unit) : (annotation.length !== undefined ? start + annotation.length : undefined);
+            let occurrences = [start];
+
+            if (annotation.daily) { // Include the previous day for ranges that last past midnight
+                const offset = start - dayStart(start);
+                const firstDay = dayStart(from);
+                const days = [dayStart(firstDay - 1), firstDay].concat(timeBoundaries(from, to, "day", this.absolute, this.timeZone));
+                occurrences = days.map(d => d + offset);
+            }
+
+            for (const occurrence of occurrences) {
+                const occurrenceEnd = end !== undefined ? occurrence + (end - start) : undefined;
+                if ((occurrenceEnd !== undefined ? occurrenceEnd <= from : occurrence < from) || occurrence >= to) { // Outside of the visible range
+                    continue;
+                }
+
+                result.push({
+                    start: occurrence,
+                    end: occurrenceEnd,
+                    label: annotation.label || "",
+                    color: annotation.color
+                });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Calculates the visible range of the timeline in minutes
+     * @private
+     * @param {Object[][]} slots - the time slots of all timelines
+     * @returns {number[]} - from and to in minutes
+     */
+    getRange(slots) {
+        const unit = this.scale.unit;
+        let from = this.scale.from !== undefined ? toMinutes(this.scale.from, unit) : undefined;
+        let to = this.scale.to !== undefined ? toMinutes(this.scale.to, unit) : undefined;
+
+        if (!this.absolute) {
+            return [from !== undefined ? from : 0, to !== undefined ? to : 1440];
+        }
+
+        // Default to whole days around the data
+        const all = [].concat.apply([], slots);
+        if (from === undefined) {
+            from = startOfDay(all.length > 0 ? all.reduce((p, c) => Math.min(p, c.start), Infinity) : Date.now() / 60000, this.timeZone);
+        }
+        if (to === undefined) {
+            const lastDay = startOfDay(all.length > 0 ? all.reduce((p, c) => Math.max(p, c.end), -Infinity) - 0.001 : from, this.timeZone);
+            to = startOfDay(lastDay + 1560, this.timeZone); // 26 hours later is always on the next day
+        }
+        return [from, to];
+    }
+
+    /**
+     * Calculates the statistics of a timeline. Hidden time slots are ignored.
+     * @private
+     * @param {Object[]} slots - the time slots of the timeline
+     * @param {number} from - the start of the range in minutes
+     * @param {number} to - the end of the range in minutes
+     * @returns {Object} - busy and idle in minutes, utilization as fraction and count
+     */
+    calculateStatistics(slots, from, to) {
+        const visible = slots
+            .filter(s => !this.isHidden(s.title))
+            .map(s => ({ start: Math.max(s.start, from), end: Math.min(s.end, to) }))
+            .filter(s => s.end > s.start);
+        const busy = mergeSlots(visible).reduce((p, c) => p + c.end - c.start, 0);
+
+        return {
+            busy: busy,
+            idle: to - from - busy,
+            utilization: to > from ? busy / (to - from) : 0,
+            count: visible.length
+        };
+    }
+
+    /**
+     * Converts statistics into the texts of the summary columns
+     * @private
+     * @param {Object} statistics - the statistics of the timeline
+     * @param {number} i - the index of the timeline
+     * @returns {string[]} - one text per column
+     */
+    formatStatistics(statistics, i) {
+        return this.statistics.map(column => {
+            if (typeof column === "function") {
+                return `${column(statistics, this.rows[i].timeline)}`;
+            } else if (column === "busy" || column === "idle") {
+                return this.formatter.duration(statistics[column]);
+            } else if (column === "utilization") {
+                return this.formatter.percent(statistics.utilization);
+            } else if (column === "count") {
+                return `${statistics.count}`;
+            }
+            return "";
+        });
+    }
+
+    /**
+     * Converts minutes back into the format used by the data
+     * @private
+     * @param {number} minutes - the minutes
+     * @returns {Date|number} - a Date if absolute times are used, the minutes otherwise
+     */
+    toTime(minutes) {
+        return this.absolute ? new Date(minutes * 60000) : minutes;
+    }
+
+    /**
+     * Draws a tooltip at the horizontal center of the element
+     * @private
+     * @param {boolean} show - Whether to show or hide the tooltip
+     * @param {Object} g - the element on which the tooltip is centered
+     * @param {number} start - the start value in minutes
+     * @param {number} end - the vend value in minutes
+     * @param {number|string} title - the title of the element
+     * @param {Function} [callback = this.hover.callback] - the function that returns the html of the tooltip
+     */
+    showTooltip(show, g, start, end, title, callback) {
+        toggleTooltip(this, show, () => (callback || this.hover.callback)(title, start, end), tooltipAbove(g, 43));
+    }
+
+    /**
+     * Replaces the existing data with new data. 
+     * @param {array} [params.data] - the data to be displayed.
+     * @param {Object[]} [params.data.timelines] - each object represents one timeline. For multiple timelines under each other, have multiple objects.
+     * @param {string} [params.data.timelines[].label] - the label to the right of the timeline.
+     * @param {Object[]} params.data.timelines[].values - the values (marked time slots).
+     * @param {number|Date|string} params.data.timelines[].values[].start - the point at which the time slot starts.
+     * @param {number|Date|string} [params.data.timelines[].values[].end] - the point at which the time slot ends. Either end or length must be set.
+     * @param {number} [params.data.timelines[].values[].length] - the length of the time slot in minutes.
+     * @param {string} [params.data.timelines[].values[].title] - the title of the time slot.
+     * @param {string[]} [params.data.timelines[].colors] - the colors for the timeline. Defaults to the palette of the theme.
+     */
+    setData(data) {
+        transitionData(this, data);
+    }
+
+    /**
+     * Creates the text of a legend entry. Long titles are shortened.
+     * @private
+     * @param {string} title - the title
+     * @param {number} minutes - the sum of all time slots with this title
+     * @param {number} maxWidth - the maximum width of the text in px
+     * @returns {string} - format: title - 4h 35m
+     */
+    legendContent(title, minutes, maxWidth) {
+        const duration = ` - ${this.formatter.duration(minutes)}`;
+        const titleWidth = Math.min(this.maxLabelWidth !== undefined ? this.maxLabelWidth : Infinity, maxWidth - measureText(duration, this.font));
+        return fitText(title, titleWidth, this.font) + duration;
+    }
+
+    /**
+     * Checks whether the time slots with a title are hidden
+     * @private
+     * @param {string} [title] - the title
+     * @returns {boolean} - whether the title is hidden
+     */
+    isHidden(title) {
+        return this.hiddenCategories.has(title || "");
+    }
+
+    /**
+     * Dims all time slots and legend entries except the ones with a title
+     * @private
+     * @param {string} [title] - the highlighted title. Removes the highlighting if undefined.
+     */
+    highlightCategory(title) {
+        for (const entry of this.categoryElements) {
+            entry.element.style.opacity = title === undefined || entry.title === title ? "" : 0.25;
+        }
+    }
+
+    /**
+     * Hides all time slots with a title. They are no longer included in the sums.
+     * @param {string} title - the title of the time slots
+     */
+    hideCategory(title) {
+        this.hiddenCategories.add(title || "");
+        this.draw();
+    }
+
+    /**
+     * Shows all time slots with a title that were hidden before.
+     * @param {string} title - the title of the time slots
+     */
+    showCategory(title) {
+        this.hiddenCategories.delete(title || "");
+        this.draw();
+    }
+
+    /**
+     * Returns the titles of all hidden time slots.
+     * @returns {string[]} - the hidden titles
+     */
+    getHiddenCategories() {
+        return Array.from(this.hiddenCategories);
+    }
+
+    /**
+     * Hides the children of a group.
+     * @param {string} label - the label of the group
+     */
+    collapseGroup(label) {
+        this.setCollapsed(label, true);
+    }
+
+    /**
+     * Shows the children of a group.
+     * @param {string} label - the label of the group
+     */
+    expandGroup(label) {
+        this.setCollapsed(label, false);
+    }
+
+    /**
+     * Collapses or expands all groups with a label
+     * @private
+     * @param {string} label - the label of the group
+     * @param {boolean} collapsed - whether the group is collapsed
+     */
+    setCollapsed(label, collapsed) {
+        const update = timelines => {
+            for (const timeline of timelines) {
+                if (Array.isArray(timeline.children)) {
+                    if (timeline.label === label) {
+                        timeline.collapsed = collapsed;
+                    }
+                    update(timeline.children);
+                }
+            }
+        };
+        update(this.data.timelines);
+        this.draw();
+    }
+
+    /**
+     * Returns the statistics of all timelines within the range of the scale. Overlapping time slots are only counted once, hidden time slots are ignored.
+     * @returns {Object[]} - one object per timeline with label, busy (minutes), idle (minutes), utilization (0 to 1) and count (number of time slots). Groups contain the statistics of their children as children.
+     */
+    getStatistics() {
+        this.absolute = this.isAbsolute();
+        const [from, to] = this.getRange(this.data.timelines.map(t => this.getSlots(t)));
+        const statistics = timelines => timelines.map(t => {
+            const result = Object.assign({ label: t.label }, this.calculateStatistics(this.getSlots(t), from, to));
+            if (Array.isArray(t.children)) {
+                result.children = statistics(t.children);
+            }
+            return result;
+        });
+
+        return statistics(this.data.timelines);
+    }
+
+    /**
+     * Replaces the existing annotations with new annotations.
+     * @param {Object[]} annotations - the annotations drawn behind the time slots. See the constructor for the format.
+     */
+    setAnnotations(annotations) {
+        this.annotations = annotations;
+        this.draw();
+    }
+}
+
+class Piechart extends Chart {
+    /**
+     * Constructs a Piechart
+     * @constructor
+     * @param {string|HTMLElement} element - the container dom element into which the chart is placed or a css query selector for it.
+     * @param {Object} [params] - options.
+     * @param {Object[]} [params.data] - the data to be displayed.
+     * @param {number} [params.data[].value] - value of the part.
+     * @param {number} [params.data[].label] - label of the part.
+     * @param {number} [params.data[].color] - color of the part.
+     * @param {Object} [params.padding] - padding in all directions of the chart.
+     * @param {number|string} [params.padding.top] - top padding for the chart.
+     * @param {number|string} [params.padding.right] - right padding for the chart.
+     * @param {number|string} [params.padding.bottom] - bottom padding for the chart.
+     * @param {number|string} [params.padding.left] - left padding for the chart.
+     * @param {Array} [params.colors] - custom colors. Defaults to the palette of the theme.
+     * @param {string} [params.font = 'Roboto'] - the font for all writing. Font must be imported separately.
+     * @param {Object} [params.hover] - options for the hover effect.
+     * @param {boolean} [params.hover.visible = true] - whether the titles should be shown on hover or not.
+     * @param {Function} [params.hover.callback] - function that returns html that is displayed in the hover effect. Receives (title, start, end).
+     * @param {'svg' | 'canvas'} [params.renderer = 'svg'] - whether the chart is drawn as svg or onto a canvas.
+     * @param {Object} [params.animation] - options for the transition when the data is replaced with setData.
+     * @param {number} [params.animation.duration = 300] - the duration in ms. 0 disables the animation. It is also skipped if the user prefers reduced motion.
+     * @param {'linear' | 'ease-in' | 'ease-out' | 'ease-in-out' | Function} [params.animation.easing = 'ease-in-out'] - the easing. Functions receive the progress between 0 and 1 and return the eased progress.
+     * @param {'light' | 'dark' | 'auto' | Object} [params.theme = 'light'] - the color theme. 'auto' follows the color scheme of the system. An object overrides single colors of the light theme (background, grid, text, muted, tooltipBackground, tooltipText, palette, scale). The colors can also be set with CSS variables, e.g. --tc-background or --tc-palette.
+     * @throws Will throw an error if the container element is not found.
+     */
+    constructor(element, params) {
+        super(element, params);
+    }
+
+    /**
+     * Sets the options, draws the chart and starts listening to changes of its size
+     * @private
+     * @param {Object} params - the options. See the constructor.
+     */
+    init(params) {
+        // Extract parameters and sets defaults if parameters not available
+        mergeObjects(params, {
+            data: [
+
+            ],
+            padding: {
+                top: 0,
+                right: 0,
+                bottom: 0,
+                left: 0
+            },
+            colors: undefined,
+            font: "Roboto",
+            hover: {
+                visible: true,
+                callback: (title, value) => `<span style="color: gray">${value}</span>${title !== "" ? ": " + title : ""}`
+            },
+            adjustSize: false,
+            donutFactor: 0,
+            animation: {
+                duration: 300,
+                easing: "ease-in-out"
+            },
+            renderer: "svg",
+            theme: "light"
         });
-        setAttributes(path, options || {});
-        return path;
+
+        this.options = params;
+        this.scale = params.scale;
+        this.data = params.data;
+        this.padding = params.padding;
+        this.font = params.font;
+        this.hover = params.hover;
+        this.drawing = false;
+        this.donutFactor = params.donutFactor;
+        this.animation = params.animation;
+        this.renderer = params.renderer;
+
+        this.draw();
+        if (!Draw.renderer.live) { // Charts rendered without a browser are static
+            return;
+        }
+        observeResize(this);
+        observeColorScheme(this);
+    }
+
+    /**
+     * Takes the colors that are not set in the options from the theme
+     * @private
+     */
+    applyTheme() {
+        this.theme = resolveTheme(this.container, this.options.theme);
+        this.colors = this.options.colors || this.theme.palette;
+    }
+
+    /**
+     * Draws the piechart
+     * @private
+     */
+    draw() {
+        this.applyTheme();
+        drawChart(this, () => this.drawSlices());
+    }
+
+    /**
+     * Draws the slices of the piechart
+     * @private
+     */
+    drawSlices() {
+        this.drawing = true;
+        this.svg = Draw.svg(`calc(100% - ${this.padding.right + this.padding.left}px)`, `calc(100% - ${this.padding.top + this.padding.bottom}px)`, 100, 100, {
+            preserveAspectRatio: "xMidYMin"
+        });
+
+        // Padding
+        this.svg.style.paddingTop = this.padding.top;
+        this.svg.style.paddingRight = this.padding.right;
+        this.svg.style.paddingBottom = this.padding.bottom;
+        this.svg.style.paddingLeft = this.padding.left;
+        this.svg.style.boxSizing = "initial";
+
+        // Draw data
+        const drawCircle = (cx, cy, rx, ry, part, prev, size) => {
+            const startX = cx + rx * Math.sin(prev * 2 * Math.PI);
+            const startY = cy + ry * Math.cos((0.5 + prev) * 2 * Math.PI);
+            const dx = rx * part;
+            const dy = ry * part;
+
+            size = Math.min(size, 0.999);
+
+            const path = `M ${startX} ${startY} A ${rx} ${ry} 0 ${size >= 0.5 ? 1 : 0} 1 ${cx + rx * Math.sin((size + prev) * 2 * Math.PI)}, ${cy + ry * Math.cos((0.5 + size + prev) * 2 * Math.PI)} L ${cx + dx * Math.sin((size + prev) * 2 * Math.PI)}, ${cy + dy * Math.cos((0.5 + size + prev) * 2 * Math.PI)} A ${dx} ${dy} 0 ${size >= 0.5 ? 1 : 0} 0 ${cx + (startX - cx) / rx * dx}, ${cy + (startY - cy) / ry * dy} z`;
+
+            return path;
+        }
+
+        let deg = 0;
+        const sum = this.data.reduce((p, c) => p + c.value, 0);
+        // Draw foreground
+        for (let i = 0; i < this.data.length; i++) {
+            const label = this.data[i].label || "";
+            const value = this.data[i].value ? this.data[i].value / sum : 0;
+            const color = this.data[i].color || this.colors[i % this.colors.length];
+
+            let  foreground = Draw.path(
+                drawCircle(50, 50, 50, 50, this.donutFactor, deg, value),
+                color
+            );
+
+            // Transitions sweep the slice from its old to its new angles, a new slice grows from its start
+            foreground = keyElement(this, [this.data[i].label !== undefined ? this.data[i].label : i], foreground, {
+                values: { prev: deg, size: value },
+                enter: { prev: deg, size: 0 },
+                attributes: values => ({ d: drawCircle(50, 50, 50, 50, this.donutFactor, values.prev, values.size) })
+            });
+
+            deg += value;
+
+            this.svg.appendChild(foreground);
+
+            if (this.hover.visible) {
+                onElement(foreground, 'mousemove', evt => { this.showTooltip(true, foreground, this.data[i].value || 0, label, evt) });
+                onElement(foreground, "mouseleave", evt => { this.showTooltip(false) });
+            }
+        }
+        
+        mountChart(this);
+        this.drawing = false;
+    }
+
+    /**
+     * Draws a tooltip at the horizontal center of the element
+     * @private
+     * @param {boolean} show - Whether to show or hide the tooltip
+     * @param {Object} g - the element on which the tooltip is centered
+     * @param {number} value - the value
+     * @param {number|string} title - the title of the element
+     *  @param {Object} title - the mouse event
+     */
+    showTooltip(show, g, value, title, event) {
+        toggleTooltip(this, show, () => this.hover.callback(title, value), size => ({ top: event.pageY - 47, left: event.pageX - size.width / 2 }));
+    }
+
+    /**
+     * Replaces the existing data with new data. 
+     * @param {array} [params.data] - the data to be displayed.
+     * @param {Object[]} [params.data] - the data to be displayed.
+     * @param {number} [params.data[].value] - value of the part.
+     * @param {number} [params.data[].label] - label of the part.
+     * @param {number} [params.data[].color] - color of the part.
+     */
+    setData(data) {
+        transitionData(this, data);
+    }
+}
+
+/**
+ * Creates a gantt chart for planned tasks
+ * @class
+ */
+class Gantt extends Chart {
+    /**
+     * Constructs a gantt chart. Each task is a row, tasks with the same phase are grouped under a phase row.
+     * @constructor
+     * @param {string|HTMLElement} element - the container dom element into which the chart is placed or a css query selector for it.
+     * @param {Object} [params] - options.
+     * @param {Object} [params.data] - the data to be displayed.
+     * @param {Object[]} [params.data.tasks] - the tasks.
+     * @param {string} [params.data.tasks[].id] - the id of the task. Needed for dependencies.
+     * @param {string} [params.data.tasks[].label] - the label to the left of the task.
+     * @param {Date|string|number} params.data.tasks[].start - the start of the task as a Date, an ISO string or epoch milliseconds.
+     * @param {Date|string|number} [params.data.tasks[].end] - the end of the task. Either end or length must be set for tasks that are not milestones.
+     * @param {number} [params.data.tasks[].length] - the length of the task in minutes.
+     * @param {number} [params.data.tasks[].progress = 0] - the completed part of the task from 0 to 1.
+     * @param {boolean} [params.data.tasks[].milestone = false] - whether the task is a milestone. Milestones are drawn as diamonds at their start.
+     * @param {string} [params.data.tasks[].phase] - the phase the task belongs to. Clicking the label of a phase collapses or expands its tasks.
+     * @param {Array<string|Object>} [params.data.tasks[].dependencies] - the tasks this task depends on. Either ids (finish-to-start) or objects with id and type ('FS' for finish-to-start, 'SS' for start-to-start).
+     * @param {string} [params.data.tasks[].color] - the color of the task. Defaults to the color of its phase.
+     * @param {Object} [params.scale] - options for the scale.
+     * @param {Date|string|number} [params.scale.from] - the start of the scale. Defaults to the start of the day of the first task.
+     * @param {Date|string|number} [params.scale.to] - the end of the scale. Defaults to the end of the day of the last task.
+     * @param {Object} [params.padding] - padding in all directions of the chart.
+     * @param {number|string} [params.padding.top] - top padding for the chart.
+     * @param {number|string} [params.padding.right] - right padding for the chart.
+     * @param {number|string} [params.padding.bottom] - bottom padding for the chart.
+     * @param {number|string} [params.padding.left] - left padding for the chart.
+     * @param {string[]} [params.colors] - the colors of the phases. Defaults to the palette of the theme.
+     * @param {string} [params.textColor] - the color of the text. Defaults to the text color of the theme.
+     * @param {string} [params.backgroundColor] - the color of the grid lines. Defaults to the grid color of the theme.
+     * @param {string} [params.arrowColor] - the color of the dependency arrows. Defaults to the muted color of the theme.
+     * @param {string} [params.font = 'Roboto'] - the font for all writing. Font must be imported separately.
+     * @param {number} [params.lineHeight = 25] - the height of a task in px.
+     * @param {'variable' | number} [params.distance = 'variable'] - whether the distance between tasks should be variable (based on svg size) or a fixed number of px.
+     * @param {boolean} [params.adjustSize = false] - whether the height of the container should be adjusted based on the needed space. Only works if params.distance != 'variable'.
+     * @param {number} [params.maxLabelWidth] - the maximum width of the labels in px. Longer labels are shortened with an ellipsis.
+     * @param {Object} [params.hover] - options for the hover effect.
+     * @param {boolean} [params.hover.visible = true] - whether the tasks should be shown on hover or not.
+     * @param {Function} [params.hover.callback] - function that returns html that is displayed in the hover effect. Receives (task, start, end, length, progress). Start and end are Dates (end is exclusive), length is in minutes.
+     * @param {Object} [params.format] - options for formatting times and durations.
+     * @param {string|string[]} [params.format.locale] - the locale, e.g. "de-DE". Defaults to the locale of the browser.
+     * @param {string} [params.format.timeZone] - the IANA time zone in which days start, e.g. "Europe/Berlin". Defaults to the local time zone.
+     * @param {Function} [params.format.duration] - custom formatter for durations. Receives the minutes.
+     * @param {Function} [params.format.day] - custom formatter for days. Receives the start of the day as a Date.
+     * @param {'light' | 'dark' | 'auto' | Object} [params.theme = 'light'] - the color theme. 'auto' follows the color scheme of the system. An object overrides single colors of the light theme (background, grid, text, muted, tooltipBackground, tooltipText, palette, scale). The colors can also be set with CSS variables, e.g. --tc-background or --tc-palette.
+     * @throws Will throw an error if the container element is not found.
+     */
+    constructor(element, params) {
+        super(element, params);
+    }
+
+    /**
+     * Sets the options, draws the chart and starts listening to changes of its size
+     * @private
+     * @param {Object} params - the options. See the constructor.
+     */
+    init(params) {
+        // Extract parameters and sets defaults if parameters not available
+        mergeObjects(params, {
+            data: {
+                tasks: []
+            },
+            scale: {
+                from: undefined,
+                to: undefined
+            },
+            padding: {
+                top: 0,
+                right: 0,
+                bottom: 0,
+                left: 0
+            },
+            colors: undefined,
+            textColor: undefined,
+            backgroundColor: undefined,
+            arrowColor: undefined,
+            font: "Roboto",
+            lineHeight: 25,
+            distance: "variable",
+            adjustSize: false,
+            maxLabelWidth: undefined,
+            hover: {
+                visible: true,
+                callback: (task, start, end, length, progress) => `${task.label ? `<b>${task.label}</b> ` : ""}<span style="color: gray">${this.formatter.day(start)}${task.milestone ? "" : " - " + this.formatter.day(new Date(end.getTime() - 1))}</span>${task.milestone ? "" : ` · ${this.formatter.days(length)} · ${this.formatter.percent(progress)}`}`
+            },
+            format: {
+                locale: undefined,
+                timeZone: undefined,
+                duration: undefined,
+                day: undefined
+            },
+            theme: "light"
+        });
+
+        this.options = params;
+        this.data = params.data;
+        this.scale = params.scale;
+        this.padding = params.padding;
+        this.font = params.font;
+        this.lineHeight = params.lineHeight;
+        this.distance = params.distance;
+        this.adjustSize = this.distance !== "variable" && params.adjustSize;
+        this.maxLabelWidth = params.maxLabelWidth;
+        this.hover = params.hover;
+        this.timeZone = params.format.timeZone;
+        this.formatter = new Formatter(params.format);
+        this.collapsed = this.collapsed || []; // Phases whose tasks are hidden, kept on updates
+        this.drawing = false;
+
+        this.draw();
+        if (!Draw.renderer.live) { // Charts rendered without a browser are static
+            return;
+        }
+        observeResize(this);
+        observeColorScheme(this);
+    }
+
+    /**
+     * Arranges the tasks like the timelines of a timeline chart, so that the rows are laid out the same way.
+     * Each phase is a group with its tasks as children, tasks without a phase come first.
+     * @private
+     * @returns {Object[]} - the timelines (label, start and end in minutes, color and the task or the children of the phase)
+     */
+    getTimelines() {
+        const tasks = this.data.tasks.map(task => {
+            const start = toMinutes(task.start, "milliseconds");
+            const end = task.milestone ? start : task.end !== undefined ? toMinutes(task.end, "milliseconds") : start + (task.length || 0);
+            return { label: task.label || "", start, end, task };
+        });
+
+        const phases = [];
+        for (const row of tasks) {
+            const phase = row.task.phase;
+            if (phase !== undefined && !phases.includes(phase)) {
+                phases.push(phase);
+            }
+        }
+
+        const timelines = tasks.filter(t => t.task.phase === undefined).map(t => Object.assign(t, { color: t.task.color || this.colors[0] }));
+        phases.forEach((phase, i) => {
+            const color = this.colors[i % this.colors.length];
+            const children = tasks.filter(t => t.task.phase === phase);
+            timelines.push({
+                label: `${phase}`,
+                phase,
+                start: children.reduce((p, c) => Math.min(p, c.start), Infinity),
+                end: children.reduce((p, c) => Math.max(p, c.end), -Infinity),
+                color,
+                collapsed: this.collapsed.includes(phase),
+                children: children.map(t => Object.assign(t, { color: t.task.color || color }))
+            });
+        });
+        return timelines;
+    }
+
+    /**
+     * Takes the colors that are not set in the options from the theme
+     * @private
+     */
+    applyTheme() {
+        this.theme = resolveTheme(this.container, this.options.theme);
+        this.colors = this.options.colors || this.theme.palette;
+        this.textColor = this.options.textColor || this.theme.text;
+        this.backgroundColor = this.options.backgroundColor || this.theme.grid;
+        this.arrowColor = this.options.arrowColor || this.theme.muted;
+    }
+
+    /**
+     * Draws the gantt chart
+     * @private
+     */
+    draw() {
+        this.applyTheme();
+        this.drawing = true;
+        const timelines = this.getTimelines();
+        const rows = timelineRows(timelines, 0);
+        const taskRows = leafTimelines(timelines); // Also the tasks of collapsed phases, so that the range does not change
+        const realWidth = this.container.clientWidth - this.padding.right - this.padding.left;
+        const lineHeight = this.lineHeight;
+        const indent = 15; // Indentation of children in px
+        const scaleHeight = 25;
+
+        // Range of whole days around the tasks
+        const from = this.scale.from !== undefined ? toMinutes(this.scale.from, "milliseconds") : startOfDay(taskRows.length > 0 ? taskRows.reduce((p, c) => Math.min(p, c.start), Infinity) : Date.now() / 60000, this.timeZone);
+        const lastDay = startOfDay(taskRows.length > 0 ? taskRows.reduce((p, c) => Math.max(p, c.end), -Infinity) - 0.001 : from, this.timeZone);
+        const to = this.scale.to !== undefined ? toMinutes(this.scale.to, "milliseconds") : startOfDay(lastDay + 1560, this.timeZone); // 26 hours later is always on the next day
+
+        const labelWeight = row => row.group ? "bold" : "normal"; // Phases are bold, tasks are not
+        const labels = rows.map(r => rowLabel(r, this.maxLabelWidth, this.font, labelWeight(r)));
+        const labelWidth = rowLabelWidth(labels, rows, this.font, indent, labelWeight, "start");
+        const chartWidth = realWidth - labelWidth - 10;
+        const xAt = minutes => labelWidth + (minutes - from) / (to - from) * chartWidth;
+
+        if (this.adjustSize) {
+            const height = scaleHeight + rows.length * (lineHeight + this.distance) + this.padding.top + this.padding.bottom;
+            this.container.style.height = `${height}px`;
+        }
+
+        const realHeight = this.container.clientHeight - this.padding.top - this.padding.bottom;
+        if (realWidth <= 0 || realHeight <= 0) {
+            clear(this.container);
+            this.drawing = false;
+            return;
+        }
+
+        const { lineSpacing, scaleStart, rowTops } = rowLayout(rows.map(() => lineHeight), this.distance, realHeight - scaleHeight, scaleHeight);
+        const rowCenter = i => rowTops[i] + 0.5 * lineHeight;
+
+        this.svg = Draw.svg(`calc(100% - ${this.padding.right + this.padding.left}px)`, `calc(100% - ${this.padding.top + this.padding.bottom}px)`, realWidth, realHeight);
+
+        // Padding
+        this.svg.style.paddingTop = this.padding.top;
+        this.svg.style.paddingRight = this.padding.right;
+        this.svg.style.paddingBottom = this.padding.bottom;
+        this.svg.style.paddingLeft = this.padding.left;
+        this.svg.style.boxSizing = "initial";
+
+        // Draw scale with one line per day and labels that do not overlap
+        const days = [from].concat(timeBoundaries(from, to, "day", true, this.timeZone));
+        const dayLabelSpacing = measureText(this.formatter.day(new Date(from * 60000)), this.font) + 15;
+        const gridBottom = rows.length > 0 ? rowTops[rows.length - 1] + lineHeight + 0.5 * lineSpacing : scaleStart + scaleHeight;
+        let lastDayLabel = -Infinity;
+        for (const day of days) {
+            const x = xAt(day);
+            if (day !== from && (to - from) / 1440 * 5 < chartWidth) { // Only if the days are at least 5px apart
+                this.svg.appendChild(Draw.rect(x - 0.5, 0, 1, gridBottom, this.backgroundColor));
+            }
+
+            if (x - lastDayLabel >= dayLabelSpacing && x + dayLabelSpacing <= realWidth) {
+                const text = Draw.text(x + 4, scaleStart + scaleHeight / 2, this.formatter.day(new Date(day * 60000)), this.textColor, this.font, { "text-anchor": "start", "alignment-baseline": "central" });
+                this.svg.appendChild(text);
+                lastDayLabel = x;
+            }
+        }
+
+        // Draw rows
+        const centers = new Map(); // Positions of the tasks for the dependencies
+        rows.forEach((row, i) => {
+            const y = rowCenter(i);
+            const timeline = row.timeline;
+
+            // Draw label
+            const text = Draw.text(rowLabelX(row, labelWidth, indent, "start"), y, labels[i], this.textColor, this.font, { "text-anchor": "start", "alignment-baseline": "central", "font-weight": labelWeight(row) });
+            this.svg.appendChild(text);
+
+            if (row.group) {
+                text.style.cursor = "pointer";
+                text.style.userSelect = "none";
+                text.addEventListener("click", () => {
+                    this.collapsed = timeline.collapsed ? this.collapsed.filter(p => p !== timeline.phase) : this.collapsed.concat([timeline.phase]);
+                    this.draw();
+                });
+
+                // Bracket from the first start to the last end
+                const height = lineHeight / 3;
+                const x1 = xAt(timeline.start);
+                const x2 = xAt(timeline.end);
+                const bracket = Draw.path(`M ${x1},${y - height / 2} H ${x2} V ${y + height} L ${x2 - height},${y + height / 2} H ${x1 + height} L ${x1},${y + height} z`, timeline.color);
+                this.svg.appendChild(bracket);
+                return;
+            }
+
+            const task = timeline.task;
+            const x1 = xAt(timeline.start);
+            const x2 = xAt(timeline.end);
+            const progress = Math.min(Math.max(task.progress || 0, 0), 1);
+            let element;
+
+            if (task.milestone) {
+                const size = lineHeight / 2;
+                element = Draw.path(`M ${x1},${y - size} L ${x1 + size},${y} L ${x1},${y + size} L ${x1 - size},${y} z`, timeline.color);
+            } else {
+                element = Draw.group();
+                const r = Math.min(4, (x2 - x1) / 2);
+                element.appendChild(Draw.rect(x1, y - lineHeight / 2, Math.max(x2 - x1, 0), lineHeight, timeline.color, { rx: r, ry: r, "fill-opacity": 0.4 }));
+                element.appendChild(Draw.rect(x1, y - lineHeight / 2, Math.max(x2 - x1, 0) * progress, lineHeight, timeline.color, { rx: r, ry: r }));
+            }
+            this.svg.appendChild(element);
+
+            if (task.id !== undefined) {
+                centers.set(task.id, { x1, x2, y, milestone: task.milestone });
+            }
+
+            if (this.hover.visible) {
+                element.addEventListener('mouseenter', evt => { this.showTooltip(true, element, task, new Date(timeline.start * 60000), new Date(timeline.end * 60000), timeline.end - timeline.start, progress) });
+                element.addEventListener("mouseleave", evt => { this.showTooltip(false) });
+            }
+        });
+
+        // Draw dependencies between the tasks that are shown
+        for (const row of rows.filter(r => !r.group)) {
+            const task = row.timeline.task;
+            const target = centers.get(task.id) || { x1: xAt(row.timeline.start), y: rowCenter(rows.indexOf(row)), milestone: task.milestone };
+
+            for (const dependency of task.dependencies || []) {
+                const id = typeof dependency === "object" ? dependency.id : dependency;
+                const type = typeof dependency === "object" && dependency.type === "SS" ? "SS" : "FS";
+                const source = centers.get(id);
+                if (source === undefined) {
+                    continue;
+                }
+
+                this.svg.appendChild(this.dependencyArrow(source, target, type, lineHeight + lineSpacing));
+            }
+        }
+
+        clear(this.container);
+        this.tooltip = undefined;
+        this.container.appendChild(this.svg);
+        this.drawing = false;
     }
 
     /**
-     * Draws an svg text.
+     * Draws an arrow from one task to another
      * @private
-     * @param {number} x - x-coordinate of the top right left corner of the text
-     * @param {number} y - y-coordinate of the top right left corner of the text
-     * @param {string} content - the text that is displayed
-     * @param {string} color - the text color
-     * @param {string} [font = 'Roboto'] - the font name
-     * @param {Object} [options] - additional attributes for the text
-     * @returns {Object} - svg text
+     * @param {Object} source - the position of the task that has to finish or start first (x1, x2, y)
+     * @param {Object} target - the position of the dependent task (x1, y)
+     * @param {'FS' | 'SS'} type - finish-to-start or start-to-start
+     * @param {number} rowDistance - the distance between the centers of two rows
+     * @returns {Object} - svg group with the line and the arrow head
      */
-    static text(x, y, content, color, font, options) {
-        color = color || "black";
-        font = font || 'Roboto';
-        const text = document.createElementNS("http://www.w3.org/2000/svg", "text");
-        setAttributes(text, {
-            x,
-            y,
-            "font-size": "14px",
-            fill: color,
-            stroke: "none",
-            "font-family": font,
-            "text-anchor": "middle",
-            class: ["static"]
-        });
-        setAttributes(text, options || {});
-        text.appendChild(document.createTextNode(content))
-        return text;
+    dependencyArrow(source, target, type, rowDistance) {
+        const offset = 8;
+        const head = 5;
+        const startX = type === "SS" ? source.x1 : source.x2;
+        const endX = target.x1 - (target.milestone ? this.lineHeight / 2 : 0);
+        const down = target.y > source.y ? 1 : -1;
+        let path;
+
+        if (type === "SS") {
+            const x = Math.min(startX, endX) - offset;
+            path = `M ${startX},${source.y} H ${x} V ${target.y} H ${endX}`;
+        } else if (endX - startX >= 2 * offset) { // Enough space for a single bend
+            path = `M ${startX},${source.y} H ${startX + offset} V ${target.y} H ${endX}`;
+        } else { // Go around between the rows
+            const between = target.y - down * rowDistance / 2;
+            path = `M ${startX},${source.y} H ${startX + offset} V ${between} H ${endX - offset} V ${target.y} H ${endX}`;
+        }
+
+        const group = Draw.group();
+        group.setAttribute("pointer-events", "none");
+        group.appendChild(Draw.path(path, "none", { stroke: this.arrowColor, "stroke-width": 1.5 }));
+        group.appendChild(Draw.path(`M ${endX},${target.y} l ${-head},${-head} v ${2 * head} z`, this.arrowColor));
+        return group;
     }
 
     /**
-     * Creates an svg group.
+     * Draws a tooltip at the horizontal center of the element
      * @private
-     * @returns {Object} - svg group
+     * @param {boolean} show - Whether to show or hide the tooltip
+     * @param {Object} g - the element on which the tooltip is centered
+     * @param {Object} task - the task
+     * @param {Date} start - the start of the task
+     * @param {Date} end - the end of the task
+     * @param {number} length - the length of the task in minutes
+     * @param {number} progress - the completed part of the task from 0 to 1
      */
-    static group() {
-        return document.createElementNS("http://www.w3.org/2000/svg", "g");
+    showTooltip(show, g, task, start, end, length, progress) {
+        toggleTooltip(this, show, () => this.hover.callback(task, start, end, length, progress), tooltipAbove(g, 43));
     }
-}
 
-///// PUBLIC FUNCTIONS /////
+    /**
+     * Replaces the existing data with new data.
+     * @param {Object} data - the data to be displayed. See the constructor for the format.
+     * @param {Object[]} data.tasks - the tasks.
+     */
+    setData(data) {
+        this.data = data;
+        this.draw();
+    }
+}
 
 /**
- * Creates a bar chart
+ * Creates a radial chart of a day
  * @class
  */
-class Barchart {
+class Clock extends Chart {
     /**
-     * Constructs a bar chart
+     * Constructs a clock chart. The time slots are drawn as arcs around a dial, each timeline is a ring.
      * @constructor
-     * @param {string} element - css query selector of the container dom element into which the chart is placed.
-     * @param {Object} [params] - options
-     * @param {Object} [params.barSize = 25] - the size of a bar in px.
-     * @param {Object[]} [params.data] - the data to be displayed. A list of bars that make up the bar chart.
-     * @param {string} [params.data[].label] - the labels underneath the bar.
-     * @param {Object[]} [params.data[].datasets] - each dataset represents one "block" of a bar.
-     * @param {number} params.data[].datasets[].value - the value of the block.
-     * @param {string} [params.data[].datasets[].title] - the title of the block.
-     * @param {string} [params.data[].datasets[].color] - the color of the block.
-     * @param {number|string} [params.max = 'relative'] - the max value of the chart.
+     * @param {string|HTMLElement} element - the container dom element into which the chart is placed or a css query selector for it.
+     * @param {Object} [params] - options.
+     * @param {Object} [params.data] - the data to be displayed.
+     * @param {Object[]} [params.data.timelines] - each object represents one ring, starting with the outer ring.
+     * @param {string} [params.data.timelines[].label] - the label of the ring.
+     * @param {Object[]} params.data.timelines[].values - the values (marked time slots). Time slots of several days are drawn on top of each other.
+     * @param {number|Date|string} params.data.timelines[].values[].start - the point at which the time slot starts. Either minutes of the day or an absolute time (a Date or an ISO string).
+     * @param {number|Date|string} [params.data.timelines[].values[].end] - the point at which the time slot ends. Either end or length must be set.
+     * @param {number} [params.data.timelines[].values[].length] - the length of the time slot in minutes.
+     * @param {string} [params.data.timelines[].values[].title] - the title of the time slot.
+     * @param {string[]} [params.data.timelines[].colors] - the colors for the ring. Defaults to the palette of the theme.
+     * @param {24 | 12} [params.hours = 24] - the hours of the dial. With 12 hours, the morning and the afternoon are drawn on top of each other.
      * @param {Object} [params.padding] - padding in all directions of the chart.
      * @param {number|string} [params.padding.top] - top padding for the chart.
      * @param {number|string} [params.padding.right] - right padding for the chart.
      * @param {number|string} [params.padding.bottom] - bottom padding for the chart.
      * @param {number|string} [params.padding.left] - left padding for the chart.
      * @param {Object} [params.colors] - custom colors
-     * @param {boolean} [params.colors.fixToTitle = true] - Whether bar-portions with the same title should also have the same color.
-     * @param {string} [params.colors.background = "#E3E6E9"] - the color of the background of the bars (not the color of background of the whole chart).
-     * @param {string} [params.colors.text = "black"] - the color of the text.
-     * @param {'vertical' | 'horizontal'} [params.orientation = 'vertical'] - orientation for the chart.
+     * @param {string} [params.colors.background] - the color of the background of the rings. Defaults to the grid color of the theme.
+     * @param {string} [params.colors.text] - the color of the text and the ticks. Defaults to the text color of the theme.
      * @param {string} [params.font = 'Roboto'] - the font for all writing. Font must be imported separately.
+     * @param {number} [params.donutFactor = 0.4] - the size of the hole in the center relative to the size of the dial.
+     * @param {number} [params.ringDistance = 4] - the distance between the rings in px.
      * @param {Object} [params.hover] - options for the hover effect.
      * @param {boolean} [params.hover.visible = true] - whether the titles should be shown on hover or not.
-     * @param {Function} [params.hover.callback] - function that returns html that is displayed in the hover effect. Receives (title, value).
-     * @param {'variable' | number} [params.distance = 'variable'] - whether the distance between timelines should be variable (based on svg size) or a fixed number of px.
-     * @param {number} [params.minDistance = 0] - the minimum number of pixels between bars.
-     * @param {boolean} [params.adjustSize = false] - whether the size of the container should be adjusted based on the needed space. Only works if params.distance != 'variable'.
-     * @param {Object} [params.scale] - options for the scale
-     * @param {boolean} [params.scale.visible = true] - whether the scale should be visible or not
-     * @param {number} [params.scale.interval = 10] - the interval at which to draw the scale
-     * @param {number} [params.scale.color = "#E3E6E9"] - the color of the scale lines
-     * @param {boolean} [params.draggable = false] - whether the chart can be dragged
-     * @param {Function} [params.onScroll] - called when the user scrolls on the chart
+     * @param {Function} [params.hover.callback] - function that returns html that is displayed in the hover effect. Receives (title, start, end). Start and end are Dates if absolute times are used, minutes otherwise.
+     * @param {Object} [params.now] - options for the current time.
+     * @param {boolean} [params.now.visible = false] - whether a hand points to the current time.
+     * @param {number} [params.now.updateInterval = 60000] - how often the hand is moved in ms.
+     * @param {string} [params.now.color = "#ff5858"] - the color of the hand.
+     * @param {Object} [params.format] - options for formatting times.
+     * @param {string|string[]} [params.format.locale] - the locale, e.g. "de-DE". Defaults to the locale of the browser.
+     * @param {boolean} [params.format.hour12] - whether to use a 12-hour clock. Defaults to the convention of the locale.
+     * @param {string} [params.format.timeZone] - the IANA time zone in which absolute times are shown, e.g. "Europe/Berlin". Defaults to the local time zone.
+     * @param {Function} [params.format.time] - custom formatter for the hover effect. Receives a Date if absolute times are used, the minutes of the day otherwise.
+     * @param {'light' | 'dark' | 'auto' | Object} [params.theme = 'light'] - the color theme. 'auto' follows the color scheme of the system. An object overrides single colors of the light theme (background, grid, text, muted, tooltipBackground, tooltipText, palette, scale). The colors can also be set with CSS variables, e.g. --tc-background or --tc-palette.
      * @throws Will throw an error if the container element is not found.
      */
     constructor(element, params) {
-        this.container = document.querySelector(element);
-        if (this.container == null) {
-            console.error("Container for chart does not exist");
-            return;
-        }
+        super(element, params);
+    }
 
+    /**
+     * Sets the options, draws the chart and starts listening to changes of its size
+     * @private
+     * @param {Object} params - the options. See the constructor.
+     */
+    init(params) {
         // Extract parameters and sets defaults if parameters not available
         mergeObjects(params, {
-            data: [],
+            data: {
+                timelines: []
+            },
+            hours: 24,
             padding: {
                 top: 0,
                 right: 0,
@@ -494,122 +5649,102 @@ class Barchart {
                 left: 0
             },
             colors: {
-                fixToTitle: true,
-                background: "#E3E6E9",
-                text: "black"
+                background: undefined,
+                text: undefined
             },
-            orientation: "vertical",
             font: "Roboto",
+            donutFactor: 0.4,
+            ringDistance: 4,
             hover: {
                 visible: true,
-                callback: (title, value) => `<span style="color: gray">${value}</span>${title !== "" ? ": " + title : ""}`
+                callback: (title, start, end) => `<span style="color: gray">${this.formatter.time(start)} - ${this.formatter.time(end)}</span>${title !== "" ? ": " + title : ""}`
             },
-            barSize: 25,
-            distance: 'variable',
-            minDistance: 0,
-            adjustSize: false,
-            max: 'relative',
-            scale: {
-                visible: true,
-                interval: 10,
-                color: "#E3E6E9"
+            now: {
+                visible: false,
+                updateInterval: 60000,
+                color: "#ff5858"
             },
-            draggable: false,
-            onScroll: e => {}
+            format: {
+                locale: undefined,
+                hour12: undefined,
+                timeZone: undefined,
+                time: undefined
+            },
+            theme: "light"
         });
 
+        this.options = params;
         this.data = params.data;
+        this.hours = params.hours === 12 ? 12 : 24;
         this.padding = params.padding;
-        this.max = params.max;
-        this.fixColorToTitle = params.colors.fixToTitle;
-        this.foregroundColors = ['#7cd6fd', '#5e64ff', '#743ee2', '#ff5858', '#ffa00a', '#feef72', '#28a745', '#98d85b', '#b554ff', '#ffa3ef', '#36114C', '#bdd3e6', '#f0f4f7', '#b8c2cc'];
-        this.backgroundColor = params.colors.background;
-        this.textColor = params.colors.text;
-        this.orientation = params.orientation;
         this.font = params.font;
+        this.donutFactor = params.donutFactor;
+        this.ringDistance = params.ringDistance;
         this.hover = params.hover;
-        this.barSize = params.barSize;
-        this.distance = params.distance;
-        this.minDistance = params.minDistance;
-        this.adjustSize = this.distance !== 'variable' && params.adjustSize;
-        this.scale = params.scale;
-        this.draggable = params.draggable;
-        this.onScroll = params.onScroll;
+        this.now = params.now;
+        this.timeZone = params.format.timeZone;
+        this.formatter = new Formatter(params.format);
+        this.hourFormat = new Intl.DateTimeFormat(params.format.locale, { hour: "numeric", hour12: params.format.hour12, timeZone: "UTC" });
         this.drawing = false;
 
-        if (this.orientation !== "horizontal") {
-            this.drawVertical();
+        this.draw();
+        if (!Draw.renderer.live) { // Charts rendered without a browser are static
+            return;
+        }
+        observeResize(this);
+        observeColorScheme(this);
 
-            if (typeof ResizeObserver === "function") {
-                const ro = new ResizeObserver(entries => {
-                    if(this.drawing || entries[0].contentRect.width === 0 || entries[0].contentRect.height === 0)
-                        return;
-                    this.drawVertical();
-                });
-                ro.observe(this.container);
-            } else {
-                window.addEventListener('resize', () => {
-                    if(this.drawing)
-                        return;
-                    this.drawVertical();
-                });
-            }
-        } else {
-            this.drawHorizontal();
-            if (typeof ResizeObserver === "function") {
-                const ro = new ResizeObserver(entries => {
-                    if(this.drawing || entries[0].contentRect.width === 0 || entries[0].contentRect.height === 0)
-                        return;
-                    this.drawHorizontal();
-                });
-                ro.observe(this.container);
-            } else {
-                window.addEventListener('resize', () => {
-                    if(this.drawing)
-                        return;
-                    this.drawHorizontal();
-                });
-            }
+        if (this.now.visible) {
+            this.nowTimer = setInterval(() => this.moveNow(), this.now.updateInterval);
+            onDestroy(this, () => clearInterval(this.nowTimer));
         }
     }
 
     /**
-     * Draws a vertical chart
+     * Converts a point in time into an angle on the dial
      * @private
+     * @param {number} minutes - minutes of the day or minutes since the unix epoch if absolute times are used
+     * @returns {number} - the angle in degrees, 0 at the top
      */
-    drawVertical() {
-        this.drawing = true;
-        const realHeight = this.container.clientHeight - this.padding.top - this.padding.bottom;
-        const viewboxHeightScale = 100 / realHeight;
-        const barCount = this.data.length;
-        const barWidth = this.barSize;
-        const barHeight = 100 - 25 * viewboxHeightScale;
-
-        if (this.adjustSize) {
-            const width = (barWidth + this.distance) * barCount + this.padding.left + this.padding.right;
-            this.container.style.width = `${width}px`;
-        }
+    angle(minutes) {
+        const minutesOfDay = this.absolute ? minutes + timeZoneOffset(minutes, this.timeZone) : minutes;
+        const dial = this.hours * 60;
+        return (((minutesOfDay % dial) + dial) % dial) / dial * 360;
+    }
 
-        const realWidth = this.container.clientWidth - this.padding.right - this.padding.left;
-        const viewboxWidthScale = realWidth / 100;
-        const barSpacing = Math.max(this.minDistance, this.distance === 'variable' ? (100 * viewboxWidthScale - (this.scale.visible ? 30 : 0)) / barCount - barWidth : this.distance);
+    /**
+     * Takes the colors that are not set in the options from the theme
+     * @private
+     */
+    applyTheme() {
+        this.theme = resolveTheme(this.container, this.options.theme);
+        this.backgroundColor = this.options.colors.background || this.theme.grid;
+        this.textColor = this.options.colors.text || this.theme.text;
+    }
 
-        // Find max value
-        let max = 0
-        if(this.max === 'relative') {
-            max = this.data.reduce((p, c) => Math.max(p, c.datasets.reduce((p, c) => p + c.value, 0)), 0);
-        } else {
-            max = this.max;
-        }
+    /**
+     * Draws the clock
+     * @private
+     */
+    draw() {
+        this.applyTheme();
+        this.drawing = true;
+        const timelines = this.data.timelines;
+        this.absolute = timelines.some(t => (t.values || []).some(v => isAbsoluteTime(v.start) || isAbsoluteTime(v.end)));
 
-        const valueMap = {};
+        const realWidth = this.container.clientWidth - this.padding.right - this.padding.left;
+        const realHeight = this.container.clientHeight - this.padding.top - this.padding.bottom;
+        const size = Math.min(realWidth, realHeight);
 
-        if(viewboxWidthScale <= 0) {
+        if (size <= 0) {
             clear(this.container);
+            this.drawing = false;
             return;
         }
 
-        this.svg = Draw.svg(`calc(100% - ${this.padding.right + this.padding.left}px)`, `calc(100% - ${this.padding.top + this.padding.bottom}px)`, 100 * viewboxWidthScale, 100);
+        this.svg = Draw.svg(`calc(100% - ${this.padding.right + this.padding.left}px)`, `calc(100% - ${this.padding.top + this.padding.bottom}px)`, size, size, {
+            preserveAspectRatio: "xMidYMid"
+        });
 
         // Padding
         this.svg.style.paddingTop = this.padding.top;
@@ -618,155 +5753,384 @@ class Barchart {
         this.svg.style.paddingLeft = this.padding.left;
         this.svg.style.boxSizing = "initial";
 
-        // Draw scale
-        const scaleStepSize = barHeight / Math.floor(max / this.scale.interval);
-
-        if(this.scale.visible) {
-            for(let i = 1; i < Math.floor(max / this.scale.interval); i++) { // Skip the first bar
-                const line = Draw.rect(30, barHeight - i * scaleStepSize, realWidth, 1 * viewboxHeightScale, this.scale.color);
-                this.svg.appendChild(line);
+        const center = size / 2;
+        const labelSpace = measureText(this.hourFormat.format(new Date(Date.UTC(2020, 0, 1, 21))), this.font, 12) + 8; // Room for the hour labels
+        const outerRadius = center - labelSpace - 6;
+        const innerRadius = outerRadius * this.donutFactor;
+        const ringWidth = timelines.length > 0 ? (outerRadius - innerRadius - (timelines.length - 1) * this.ringDistance) / timelines.length : 0;
+
+        // Draw hour ticks and labels
+        const labelStep = this.hours === 24 ? 3 : 1;
+        for (let hour = 0; hour < this.hours; hour++) {
+            const angle = hour / this.hours * 360;
+            const major = hour % labelStep === 0;
+            const tickStart = polarToCartesian(center, center, outerRadius + 2, outerRadius + 2, angle);
+            const tickEnd = polarToCartesian(center, center, outerRadius + (major ? 8 : 5), outerRadius + (major ? 8 : 5), angle);
+            this.svg.appendChild(Draw.line(tickStart.x, tickStart.y, tickEnd.x, tickEnd.y, this.textColor, major ? 1.5 : 1));
+
+            if (major) {
+                const position = polarToCartesian(center, center, outerRadius + 8 + labelSpace / 2, outerRadius + 8 + labelSpace / 2, angle);
+                const content = this.hours === 24 ? this.hourFormat.format(new Date(Date.UTC(2020, 0, 1, hour))) : `${hour === 0 ? 12 : hour}`;
+                this.svg.appendChild(Draw.text(position.x, position.y, content, this.textColor, this.font, { "text-anchor": "middle", "alignment-baseline": "central", "font-size": "12px" }));
             }
         }
 
-        // Draw data
-        this.dataContainer = Draw.group();
-        this.svg.appendChild(this.dataContainer);
-
-        for (let i = 0; i < barCount; i++) {
-            const label = this.data[i].label || "";
+        // Draw rings
+        for (let i = 0; i < timelines.length; i++) {
+            const timeline = timelines[i];
+            const colors = timeline.colors || this.theme.palette;
+            const colorMap = {};
+            const outer = outerRadius - i * (ringWidth + this.ringDistance);
+            const inner = outer - ringWidth;
 
-            const rx = barWidth / 2;
-            const ry = barWidth / 2 * viewboxHeightScale;
+            // Gray background
+            this.svg.appendChild(Draw.path(describeRing(center, center, inner, outer, 0, 360), this.backgroundColor, { "fill-rule": "evenodd" }));
 
-            const background = Draw.path(
-                `M ${(this.scale.visible ? 30 : 0) + (i + 0.5) * barSpacing + i * barWidth},${0} m 0, ${barHeight - ry} a ${rx},${ry} 0 0 0 ${barWidth},0 v ${ry * 2 - barHeight} a ${rx},${ry} 0 0 0 ${-barWidth},0 z`,
-                this.backgroundColor,
-                {"shape-rendering": "crispEdges"}
-            );
-            this.dataContainer.appendChild(background);
+            for (const value of timeline.values || []) {
+                const title = value.title || "";
+                if (!(title in colorMap)) {
+                    colorMap[title] = colors[Object.keys(colorMap).length % colors.length];
+                }
 
-            let y = 0; // height of the bar. Contains the position at which to draw the next rectangle
+                const start = toMinutes(value.start);
+                const end = value.end !== undefined ? toMinutes(value.end) : start + (value.length || 0);
+                if (end <= start) {
+                    continue;
+                }
 
-            for (let j = 0; j < this.data[i].datasets.length; j++) {
-                const value = this.data[i].datasets[j].value || 0;
-                const title = this.data[i].datasets[j].title || "";
-                let color = this.data[i].datasets[j].color || "";
+                const startAngle = this.angle(start);
+                const span = Math.min(end - start, this.hours * 60) / (this.hours * 60) * 360;
+                const arc = Draw.path(describeRing(center, center, inner, outer, startAngle, startAngle + span), colorMap[title], { "fill-rule": "evenodd" });
+                this.svg.appendChild(arc);
 
-                if(color === "") {
-                    if(this.fixColorToTitle){
-                        if (!(title in valueMap)) { // sub-category has not be encountered before
-                            color = this.foregroundColors[Object.keys(valueMap).length % this.foregroundColors.length];
-                            valueMap[title] = color;
-                        } else {
-                            color = valueMap[title];
-                        }
-                    } else {
-                        color = this.foregroundColors[j % this.foregroundColors.length];
-                    }
+                if (this.hover.visible) {
+                    const toTime = minutes => this.absolute ? new Date(minutes * 60000) : minutes;
+                    arc.addEventListener('mouseenter', evt => { this.showTooltip(true, arc, toTime(start), toTime(end), title) });
+                    arc.addEventListener("mouseleave", evt => { this.showTooltip(false) });
                 }
+            }
 
-                const height = (barHeight * value / max);
-                if(height > 0 && y < barHeight) {
-                    const foreground = Draw.path(
-                        createVerticalBar((this.scale.visible ? 30 : 0) + (i + 0.5) * barSpacing + i * barWidth, barHeight, rx, ry, height, y, barHeight),
-                        color,
-                        {"shape-rendering": "crispEdges"}
-                    );
+            // Label left of the top of the ring
+            if (timeline.label) {
+                const text = Draw.text(center - 6, center - (inner + outer) / 2, fitText(timeline.label, center - 10, this.font, 12), this.textColor, this.font, { "text-anchor": "end", "alignment-baseline": "central", "font-size": "12px", "pointer-events": "none" });
+                this.svg.appendChild(text);
+            }
+        }
 
-                    if (this.hover.visible) {
-                        foreground.addEventListener('mouseenter', evt => { this.showTooltip(true, foreground, value, title) });
-                        foreground.addEventListener("mouseleave", evt => { this.showTooltip(false) });
-                    }
+        // Draw hand for the current time
+        this.nowHand = undefined;
+        if (this.now.visible) {
+            const hand = Draw.group();
+            hand.setAttribute("pointer-events", "none");
+            hand.appendChild(Draw.line(center, center, center, center - outerRadius - 4, this.now.color, 2, { "stroke-linecap": "round" }));
+            hand.appendChild(Draw.path(`M ${center - 4},${center} a 4,4 0 1 0 8,0 a 4,4 0 1 0 -8,0`, this.now.color));
+            this.svg.appendChild(hand);
+            this.nowHand = { hand, center };
+            this.moveNow();
+        }
+
+        clear(this.container);
+        this.tooltip = undefined;
+        this.container.appendChild(this.svg);
+        this.drawing = false;
+    }
+
+    /**
+     * Rotates the hand to the current time
+     * @private
+     */
+    moveNow() {
+        if (this.nowHand === undefined) {
+            return;
+        }
+
+        const { hand, center } = this.nowHand;
+        const now = Date.now() / 60000;
+        const angle = this.absolute ? this.angle(now) : this.angle(now + timeZoneOffset(now, this.timeZone));
+        hand.setAttribute("transform", `rotate(${angle} ${center} ${center})`);
+    }
+
+    /**
+     * Draws a tooltip at the horizontal center of the element
+     * @private
+     * @param {boolean} show - Whether to show or hide the tooltip
+     * @param {Object} g - the element on which the tooltip is centered
+     * @param {Date|number} start - the start of the time slot
+     * @param {Date|number} end - the end of the time slot
+     * @param {string} title - the title of the time slot
+     */
+    showTooltip(show, g, start, end, title) {
+        toggleTooltip(this, show, () => this.hover.callback(title, start, end), tooltipAbove(g, 43));
+    }
+
+    /**
+     * Replaces the existing data with new data.
+     * @param {Object} data - the data to be displayed. See the constructor for the format.
+     * @param {Object[]} data.timelines - each object represents one ring, starting with the outer ring.
+     */
+    setData(data) {
+        this.data = data;
+        this.draw();
+    }
+}
+
+/**
+ * Creates a line chart
+ * @class
+ */
+class Linechart extends Chart {
+    /**
+     * Constructs a line chart for values over time
+     * @constructor
+     * @param {string|HTMLElement} element - the container dom element into which the chart is placed or a css query selector for it.
+     * @param {Object} [params] - options
+     * @param {Object[]} [params.data] - the data to be displayed. Each object is one series (a line).
+     * @param {string} [params.data[].title] - the title of the series.
+     * @param {string} [params.data[].color] - the color of the series. Defaults to the palette of the theme.
+     * @param {Object[]} params.data[].values - the points of the series.
+     * @param {Date|string|number} params.data[].values[].time - the time of the point as a Date, an ISO string or epoch milliseconds.
+     * @param {number} params.data[].values[].value - the value of the point.
+     * @param {number|string} [params.max = 'relative'] - the max value of the chart.
+     * @param {boolean} [params.stacked = false] - whether the series are stacked on top of each other. Missing points count as 0.
+     * @param {boolean} [params.area = false] - whether the area underneath each line is filled.
+     * @param {'linear' | 'step' | 'smooth'} [params.interpolation = 'linear'] - how the points are connected.
+     * @param {boolean} [params.markers = true] - whether the points are marked with circles.
+     * @param {Object} [params.padding] - padding in all directions of the chart.
+     * @param {number|string} [params.padding.top] - top padding for the chart.
+     * @param {number|string} [params.padding.right] - right padding for the chart.
+     * @param {number|string} [params.padding.bottom] - bottom padding for the chart.
+     * @param {number|string} [params.padding.left] - left padding for the chart.
+     * @param {Object} [params.colors] - custom colors
+     * @param {string} [params.colors.text] - the color of the text. Defaults to the text color of the theme.
+     * @param {string} [params.colors.crosshair] - the color of the line at the hovered time. Defaults to the muted color of the theme.
+     * @param {string} [params.font = 'Roboto'] - the font for all writing. Font must be imported separately.
+     * @param {Object} [params.hover] - options for the hover effect.
+     * @param {boolean} [params.hover.visible = true] - whether the values should be shown on hover or not.
+     * @param {Function} [params.hover.callback] - function that returns html that is displayed in the hover effect. Receives (time, entries) with the hovered time as a Date and one entry (title, value, color) per series that has a value at this time.
+     * @param {Object} [params.legend] - options for the legend.
+     * @param {boolean} [params.legend.visible = true] - whether the titles of the series are shown above the chart. Only shown for more than one series.
+     * @param {Object} [params.scale] - options for the scale
+     * @param {boolean} [params.scale.visible = true] - whether the scale should be visible or not
+     * @param {number|'auto'} [params.scale.interval = 'auto'] - the interval of the value axis. 'auto' picks steps of 1, 2 or 5 × 10ⁿ that fit the available space.
+     * @param {number} [params.scale.color] - the color of the scale lines. Defaults to the grid color of the theme.
+     * @param {Object} [params.format] - options for formatting the time axis.
+     * @param {string|string[]} [params.format.locale] - the locale, e.g. "de-DE". Defaults to the locale of the browser.
+     * @param {boolean} [params.format.hour12] - whether to use a 12-hour clock. Defaults to the convention of the locale.
+     * @param {string} [params.format.timeZone] - the IANA time zone in which times are shown, e.g. "Europe/Berlin". Defaults to the local time zone.
+     * @param {Function} [params.format.time] - custom formatter for times. Receives a Date.
+     * @param {Function} [params.format.day] - custom formatter for days. Receives the start of the day as a Date.
+     * @param {'light' | 'dark' | 'auto' | Object} [params.theme = 'light'] - the color theme. 'auto' follows the color scheme of the system. An object overrides single colors of the light theme (background, grid, text, muted, tooltipBackground, tooltipText, palette, scale). The colors can also be set with CSS variables, e.g. --tc-background or --tc-palette.
+     * @throws Will throw an error if the container element is not found.
+     */
+    constructor(element, params) {
+        super(element, params);
+    }
 
-                    if (y < barHeight) { // only draw the part if it would not overshoot
-                        this.dataContainer.appendChild(foreground);
-                    }
+    /**
+     * Sets the options, draws the chart and starts listening to changes of its size
+     * @private
+     * @param {Object} params - the options. See the constructor.
+     */
+    init(params) {
+        // Extract parameters and sets defaults if parameters not available
+        mergeObjects(params, {
+            data: [],
+            max: 'relative',
+            stacked: false,
+            area: false,
+            interpolation: "linear",
+            markers: true,
+            padding: {
+                top: 0,
+                right: 0,
+                bottom: 0,
+                left: 0
+            },
+            colors: {
+                text: undefined,
+                crosshair: undefined
+            },
+            font: "Roboto",
+            hover: {
+                visible: true,
+                callback: (time, entries) => `<span style="color: gray">${this.formatTime(time)}</span>${entries.map(e => `<br><span style="color: ${e.color}">●</span> ${e.title !== "" ? e.title + ": " : ""}${e.value}`).join("")}`
+            },
+            legend: {
+                visible: true
+            },
+            scale: {
+                visible: true,
+                interval: "auto",
+                color: undefined
+            },
+            format: {
+                locale: undefined,
+                hour12: undefined,
+                timeZone: undefined,
+                time: undefined,
+                day: undefined
+            },
+            theme: "light"
+        });
 
-                    y = y + height;
-                }
-            }
+        this.options = params;
+        this.data = params.data;
+        this.max = params.max;
+        this.stacked = params.stacked;
+        this.area = params.area;
+        this.interpolation = params.interpolation;
+        this.markers = params.markers;
+        this.padding = params.padding;
+        this.font = params.font;
+        this.hover = params.hover;
+        this.legend = params.legend.visible;
+        this.scale = params.scale;
+        this.timeZone = params.format.timeZone;
+        this.formatter = new Formatter(params.format);
+        this.drawing = false;
 
-            const text = Draw.text((this.scale.visible ? 30 : 0) + (i + 0.5) * (barSpacing + barWidth), barHeight + (20 * viewboxHeightScale), label, this.textColor, this.font, {"style": "user-select: none;"});
-            text.setAttribute("transform", `scale(1,${viewboxHeightScale}) translate(0, ${parseFloat(text.getAttribute("y")) / viewboxHeightScale - parseFloat(text.getAttribute("y"))})`);
-            this.dataContainer.appendChild(text);
+        this.draw();
+        if (!Draw.renderer.live) { // Charts rendered without a browser are static
+            return;
         }
+        observeResize(this);
+        observeColorScheme(this);
+    }
 
-        // Draw scale text
-        if(this.scale.visible) {
-            const rect = Draw.rect(0, 0, 30, 100, "white");
-            this.svg.appendChild(rect);
-            for(let i = 1; i < Math.floor(max / this.scale.interval); i++) { // Skip the first bar
-                const text = Draw.text(0, barHeight - i * scaleStepSize, i * this.scale.interval, this.textColor, this.font, { "text-anchor": "start", "alignment-baseline": "central", "style": "user-select: none;" });
-                text.setAttribute("transform", `scale(1,${viewboxHeightScale}) translate(0, ${parseFloat(text.getAttribute("y")) / viewboxHeightScale - parseFloat(text.getAttribute("y"))})`);
-                this.svg.appendChild(text);
+    /**
+     * Converts the series into points with times in minutes. Stacked series are added up.
+     * @private
+     * @returns {Object} - the sorted times of all points and per series the title, color and points (time, value, top and bottom)
+     */
+    getSeries() {
+        const series = this.data.map((s, i) => ({
+            title: s.title || "",
+            color: s.color || this.foregroundColors[i % this.foregroundColors.length],
+            points: (s.values || [])
+                .map(v => ({ time: toMinutes(v.time, "milliseconds"), value: v.value || 0 }))
+                .sort((a, b) => a.time - b.time)
+        }));
+        const times = Array.from(new Set([].concat.apply([], series.map(s => s.points.map(p => p.time))))).sort((a, b) => a - b);
+
+        if (this.stacked) { // Every series gets a point at every time so that the areas line up
+            const base = times.map(() => 0);
+            for (const s of series) {
+                const values = new Map(s.points.map(p => [p.time, p.value]));
+                s.points = times.map((time, k) => {
+                    const value = values.get(time) || 0;
+                    const point = { time, value, bottom: base[k], top: base[k] + value, missing: !values.has(time) };
+                    base[k] += value;
+                    return point;
+                });
+            }
+        } else {
+            for (const s of series) {
+                s.points.forEach(p => { p.bottom = 0; p.top = p.value; });
             }
         }
+        return { times, series };
+    }
 
-        clear(this.container);
-        this.tooltip = undefined;
-        this.container.appendChild(this.svg);
-
-        if(this.draggable) {
-            let startPos;
-            let currentTranslate = 0;
-            
-            this.svg.addEventListener('mousedown',e => startPos = e.clientX);
-            this.svg.addEventListener("mousemove", e => {
-                if(startPos) {
-                    let newPos = currentTranslate + e.clientX - startPos;
-                    newPos = Math.min(0, newPos);
-                    newPos = Math.max(newPos, -Math.max(0, (this.scale.visible ? 30 : 0) + 0.5 * barSpacing + this.dataContainer.getBoundingClientRect().width - realWidth));
+    /**
+     * Converts a time into a string. Shows the day if the chart spans several days.
+     * @private
+     * @param {Date} time - the time
+     * @returns {string} - e.g. Mon, Jan 6 or 4:30 PM
+     */
+    formatTime(time) {
+        return this.days ? this.formatter.day(time) : this.formatter.time(time);
+    }
 
-                    this.dataContainer.style.transform = `translateX(${newPos}px)`;
-                } else {
-                    currentTranslate = parseFloat(this.dataContainer.style.transform.replace("translateX(", "").replace("px)", "")) || 0;
-                }
-            });
-            document.addEventListener('mouseup', () => startPos = undefined);
+    /**
+     * Creates the svg path commands that connect points
+     * @private
+     * @param {Object[]} points - the points with x and y in px
+     * @param {boolean} [reversed = false] - whether the points are walked backwards (for the lower edge of an area)
+     * @returns {string} - the commands after the first point
+     */
+    connect(points, reversed) {
+        const commands = [];
+        for (let k = 1; k < points.length; k++) {
+            const a = points[k - 1];
+            const b = points[k];
+
+            if (this.interpolation === "step") { // The value holds until the next point
+                commands.push(reversed ? `V ${b.y} H ${b.x}` : `H ${b.x} V ${b.y}`);
+            } else if (this.interpolation === "smooth") { // Horizontal tangents never overshoot the points
+                const middle = (a.x + b.x) / 2;
+                commands.push(`C ${middle},${a.y} ${middle},${b.y} ${b.x},${b.y}`);
+            } else {
+                commands.push(`L ${b.x},${b.y}`);
+            }
         }
+        return commands.join(" ");
+    }
 
-        this.svg.addEventListener("wheel", this.onScroll);
-        this.drawing = false;
+    /**
+     * Takes the colors that are not set in the options from the theme
+     * @private
+     */
+    applyTheme() {
+        this.theme = resolveTheme(this.container, this.options.theme);
+        this.foregroundColors = this.theme.palette;
+        this.textColor = this.options.colors.text || this.theme.text;
+        this.crosshairColor = this.options.colors.crosshair || this.theme.muted;
+        this.scaleColor = this.options.scale.color || this.theme.grid;
     }
 
     /**
-     * Draws a horizontal chart
+     * Draws the line chart
      * @private
      */
-    drawHorizontal() {
+    draw() {
+        this.applyTheme();
         this.drawing = true;
+        const { times, series } = this.getSeries();
         const realWidth = this.container.clientWidth - this.padding.right - this.padding.left;
-        const viewboxWidthScale = 100 / realWidth;
-        const barCount = this.data.length;
-        const textWidth = this.data.reduce((p, c) => Math.max(p, c.label !== undefined && c.label.length > 0 ? (20 + c.label.length * 7.5) * viewboxWidthScale : 0), 0); // 7.5 per char 
-        const barWidth = 100 - textWidth;
-        const barHeight = this.barSize;
-
-        if (this.adjustSize) {
-            const height = (barCount + this.distance) * barHeight + this.padding.top + this.padding.bottom;
-            this.container.style.height = `${height}px`;
-        }
-
         const realHeight = this.container.clientHeight - this.padding.top - this.padding.bottom;
-        const viewboxHeightScale = realHeight / 100;
-        const barSpacing = Math.max(this.minDistance, this.distance === 'variable' ? (100 * viewboxHeightScale - (this.scale.visible ? 30 : 0)) / barCount - barHeight : this.distance);
 
-        // Find max value
-        let max = 0
-        if(this.max === 'relative') {
-            max = this.data.reduce((p, c) => Math.max(p, c.datasets.reduce((p, c) => p + c.value, 0)), 0);
-        } else {
-            max = this.max;
+        if (realWidth <= 0 || realHeight <= 0) {
+            clear(this.container);
+            this.drawing = false;
+            return;
         }
 
-        const valueMap = {};
+        // Time range, widened if there is only one point in time
+        let from = times.length > 0 ? times[0] : Date.now() / 60000;
+        let to = times.length > 0 ? times[times.length - 1] : from;
+        if (to - from <= 0) {
+            from -= 720;
+            to += 720;
+        }
+        this.days = to - from >= 2 * 1440;
+
+        // Value range
+        const values = [].concat.apply([], series.map(s => s.points.map(p => p.top)));
+        const min = Math.min(0, values.reduce((p, c) => Math.min(p, c), 0));
+        let max = this.max === 'relative' ? values.reduce((p, c) => Math.max(p, c), 0) : this.max;
+        if (max <= min) {
+            max = min + 1;
+        }
 
-        if(viewboxHeightScale <= 0) {
-            clear(this.container);
-            return;
+        // Layout in px
+        const legendHeight = this.legend && series.length > 1 ? 25 : 0;
+        const top = legendHeight + 10;
+        const bottom = realHeight - (this.scale.visible ? 25 : 5);
+        let interval = this.scale.interval === "auto" ? niceValueInterval(max - min, bottom - top, 25) : this.scale.interval;
+        interval = interval * Math.max(1, Math.ceil(25 / (interval / (max - min) * (bottom - top)))); // Skip labels that would overlap
+        if (this.max === 'relative') { // End the axis at a label
+            max = Math.ceil(parseFloat((max / interval).toPrecision(12))) * interval;
         }
-  
-        this.svg = Draw.svg(`calc(100% - ${this.padding.right + this.padding.left}px)`, `calc(100% - ${this.padding.top + this.padding.bottom}px)`, 100, 100 * viewboxHeightScale);
+        const scaleLabels = [];
+        for (let value = Math.ceil(min / interval) * interval; value <= max + 1e-9; value += interval) {
+            scaleLabels.push(parseFloat(value.toPrecision(12))); // Avoids rounding errors like 0.30000000000000004
+        }
+        const left = this.scale.visible ? scaleLabels.reduce((p, c) => Math.max(p, measureText(c, this.font, 12)), 0) + 10 : 5;
+        const right = realWidth - 10;
+        const xAt = time => left + (time - from) / (to - from) * (right - left);
+        const yAt = value => bottom - (value - min) / (max - min) * (bottom - top);
+
+        this.svg = Draw.svg(`calc(100% - ${this.padding.right + this.padding.left}px)`, `calc(100% - ${this.padding.top + this.padding.bottom}px)`, realWidth, realHeight);
 
         // Padding
         this.svg.style.paddingTop = this.padding.top;
@@ -776,113 +6140,110 @@ class Barchart {
         this.svg.style.boxSizing = "initial";
 
         // Draw scale
-        const scaleStepSize = barWidth / Math.floor(max / this.scale.interval);
+        if (this.scale.visible) {
+            for (const value of scaleLabels) {
+                this.svg.appendChild(Draw.rect(left, yAt(value) - 0.5, right - left, 1, this.scaleColor));
+                this.svg.appendChild(Draw.text(left - 5, yAt(value), `${value}`, this.textColor, this.font, { "text-anchor": "end", "alignment-baseline": "central", "font-size": "12px" }));
+            }
 
-        if(this.scale.visible) {
-            for(let i = 1; i < Math.floor(max / this.scale.interval); i++) { // Skip the first bar
-                const line = Draw.rect(i * scaleStepSize, 30, 1 * viewboxWidthScale, realHeight, this.scale.color);
-                this.svg.appendChild(line);
+            // Time axis with labels at whole days or clock-aligned intervals that do not overlap
+            const labelSpacing = measureText(this.formatTime(new Date(from * 60000)), this.font, 12) + 15;
+            const step = this.days ? "day" : niceTimeInterval(to - from, right - left, labelSpacing);
+            const ticks = timeBoundaries(from - 0.001, to + 0.001, step >= 1440 ? "day" : step, true, this.timeZone);
+            let lastLabel = -Infinity;
+            for (const tick of ticks) {
+                const x = Math.min(Math.max(xAt(tick), labelSpacing / 2), realWidth - labelSpacing / 2); // Keep labels at the edges inside
+                if (x - lastLabel >= labelSpacing) {
+                    this.svg.appendChild(Draw.text(x, bottom + 12, this.formatTime(new Date(tick * 60000)), this.textColor, this.font, { "text-anchor": "middle", "alignment-baseline": "central", "font-size": "12px" }));
+                    lastLabel = x;
+                }
             }
         }
 
-        // Draw data
-        this.dataContainer = Draw.group();
-        this.svg.appendChild(this.dataContainer);
-
-        for (let i = 0; i < barCount; i++) {
-            const label = this.data[i].label || "";
-
-            const rx = barHeight / 2 * viewboxWidthScale;
-            const ry = barHeight / 2;
-
-            const background = Draw.path(
-                `M ${textWidth + rx}, ${(this.scale.visible ? 30 : 0) + (i + 0.5) * barSpacing + i * barHeight} a ${rx},${ry} 0 0 0 0,${barHeight} h ${barWidth - rx * 2} a ${rx},${ry} 0 0 0 0,${-barHeight} z`,
-                this.backgroundColor,
-                {"shape-rendering": "crispEdges"}
-            );
-            this.dataContainer.appendChild(background);
-
-            let x = 0; // width of the bar. Contains the position at which to draw the next rectangle
+        // Draw series, areas first so that they do not cover lines
+        const positions = series.map(s => s.points.map(p => ({ x: xAt(p.time), y: yAt(p.top), bottom: yAt(p.bottom) })));
+        if (this.area) {
+            series.forEach((s, i) => {
+                const points = positions[i];
+                if (points.length === 0) {
+                    return;
+                }
 
-            for (let j = 0; j < this.data[i].datasets.length; j++) {
-                const value = this.data[i].datasets[j].value || 0;
-                const title = this.data[i].datasets[j].title || "";
-                let color = this.data[i].datasets[j].color || "";
+                const lower = points.map(p => ({ x: p.x, y: p.bottom })).reverse();
+                const shape = `M ${points[0].x},${points[0].y} ${this.connect(points)} L ${lower[0].x},${lower[0].y} ${this.connect(lower, true)} z`;
+                this.svg.appendChild(Draw.path(shape, s.color, { "fill-opacity": this.stacked ? 0.8 : 0.3, "pointer-events": "none" }));
+            });
+        }
 
-                if(color === "") {
-                    if(this.fixColorToTitle){
-                        if (!(title in valueMap)) { // sub-category has not be encountered before
-                            color = this.foregroundColors[Object.keys(valueMap).length % this.foregroundColors.length];
-                            valueMap[title] = color;
-                        } else {
-                            color = valueMap[title];
-                        }
-                    } else {
-                        color = this.foregroundColors[j % this.foregroundColors.length];
-                    }
-                }
+        series.forEach((s, i) => {
+            const points = positions[i];
+            if (points.length === 0) {
+                return;
+            }
 
-                const width = (barWidth * value / max);
-                if(width > 0 && x < barWidth) {
-                    const foreground = Draw.path(
-                        createHorizontalBar(textWidth, (this.scale.visible ? 30 : 0) + (i + 0.5) * barSpacing + i * barHeight, rx, ry, width, x, barWidth),
-                        color,
-                        {"shape-rendering": "crispEdges"}
-                    );
+            this.svg.appendChild(Draw.path(`M ${points[0].x},${points[0].y} ${this.connect(points)}`, "none", { stroke: s.color, "stroke-width": 2, "stroke-linejoin": "round", "pointer-events": "none" }));
 
-                    if (this.hover.visible) {
-                        foreground.addEventListener('mouseenter', evt => { this.showTooltip(true, foreground, value, title) });
-                        foreground.addEventListener("mouseleave", evt => { this.showTooltip(false) });
-                    }
-    
-                    if (x < barWidth) { // only draw the part if it would not overshoot
-                        this.dataContainer.appendChild(foreground);
+            if (this.markers) {
+                points.forEach((p, k) => {
+                    if (!s.points[k].missing) {
+                        this.svg.appendChild(Draw.path(`M ${p.x - 3},${p.y} a 3,3 0 1 0 6,0 a 3,3 0 1 0 -6,0`, s.color, { "pointer-events": "none" }));
                     }
-    
-                    x = x + width;
-                }     
+                });
             }
+        });
 
-            const text = Draw.text(0, (this.scale.visible ? 30 : 0) + (i + 0.5) * (barSpacing + barHeight), label, this.textColor, this.font, { "text-anchor": "start", "alignment-baseline": "central", "style": "user-select: none;" });
-            text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
-            this.dataContainer.appendChild(text);
+        // Draw legend
+        if (legendHeight > 0) {
+            let x = left;
+            for (const s of series) {
+                this.svg.appendChild(Draw.path(`M ${x},${legendHeight / 2} a 5,5 0 1 0 10,0 a 5,5 0 1 0 -10,0`, s.color));
+                this.svg.appendChild(Draw.text(x + 15, legendHeight / 2, s.title, this.textColor, this.font, { "text-anchor": "start", "alignment-baseline": "central" }));
+                x += 35 + measureText(s.title, this.font);
+            }
         }
 
-         // Draw scale text
-         if(this.scale.visible) {
-            const rect = Draw.rect(0, 0, 100, 30, "white");
-            this.svg.appendChild(rect);
-            for(let i = 1; i < Math.floor(max / this.scale.interval); i++) { // Skip the first bar
-                const text = Draw.text(i * scaleStepSize, 20, i * this.scale.interval, this.textColor, this.font, { "text-anchor": "middle", "style": "user-select: none;" });
-                text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
-                this.svg.appendChild(text);
-            }
+        // Crosshair at the time closest to the mouse
+        if (this.hover.visible && times.length > 0) {
+            const crosshair = Draw.group();
+            crosshair.setAttribute("pointer-events", "none");
+            crosshair.setAttribute("display", "none");
+            const line = Draw.rect(0, top, 1, bottom - top, this.crosshairColor);
+            crosshair.appendChild(line);
+            const highlights = Draw.group();
+            crosshair.appendChild(highlights);
+            this.svg.appendChild(crosshair);
+
+            const overlay = Draw.rect(left, top, right - left, bottom - top, "transparent");
+            this.svg.appendChild(overlay);
+
+            overlay.addEventListener("mousemove", evt => {
+                const rect = this.svg.getBoundingClientRect();
+                const x = (evt.clientX - rect.left) / rect.width * realWidth;
+                const time = times.reduce((p, c) => Math.abs(xAt(c) - x) < Math.abs(xAt(p) - x) ? c : p, times[0]);
+
+                line.setAttribute("x", xAt(time) - 0.5);
+                crosshair.removeAttribute("display");
+                clear(highlights);
+
+                const entries = [];
+                series.forEach((s, i) => {
+                    const k = s.points.findIndex(p => p.time === time && !p.missing);
+                    if (k >= 0) {
+                        entries.push({ title: s.title, value: s.points[k].value, color: s.color });
+                        highlights.appendChild(Draw.path(`M ${positions[i][k].x - 5},${positions[i][k].y} a 5,5 0 1 0 10,0 a 5,5 0 1 0 -10,0`, s.color, { stroke: this.theme.background, "stroke-width": 2 }));
+                    }
+                });
+                this.showTooltip(true, line, new Date(time * 60000), entries);
+            });
+            overlay.addEventListener("mouseleave", evt => {
+                crosshair.setAttribute("display", "none");
+                this.showTooltip(false);
+            });
         }
 
         clear(this.container);
         this.tooltip = undefined;
         this.container.appendChild(this.svg);
-
-        if(this.draggable) {
-            let startPos;
-            let currentTranslate = 0;
-            
-            this.svg.addEventListener('mousedown',e => startPos = e.clientY);
-            this.svg.addEventListener("mousemove", e => {
-                if(startPos) {
-                    let newPos = currentTranslate + e.clientY - startPos;
-                    newPos = Math.min(0, newPos);
-                    newPos = Math.max(newPos, -Math.max(0, (this.scale.visible ? 30 : 0) + 0.5 * barSpacing + this.dataContainer.getBoundingClientRect().height - realHeight));
-
-                    this.dataContainer.style.transform = `translateY(${newPos}px)`;
-                } else {
-                    currentTranslate = parseFloat(this.dataContainer.style.transform.replace("translateY(", "").replace("px)", "")) || 0;
-                }
-            });
-            document.addEventListener('mouseup', () => startPos = undefined);
-        }
-
-        this.svg.addEventListener("wheel", this.onScroll);
         this.drawing = false;
     }
 
@@ -891,242 +6252,196 @@ class Barchart {
      * @private
      * @param {boolean} show - Whether to show or hide the tooltip
      * @param {Object} g - the element on which the tooltip is centered
-     * @param {number|string} value - the value of the element
-     * @param {number|string} title - the title of the element
+     * @param {Date} time - the hovered time
+     * @param {Object[]} entries - the values of the series at this time (title, value, color)
      */
-    showTooltip(show, g, value, title) {
-        this.drawing = true;
-        if (this.tooltip === undefined) {
-            this.tooltip = document.createElement('div');
-            this.tooltip.style.display = "block";
-            this.tooltip.style.position = "absolute";
-            this.tooltip.style.fontFamily = this.font;
-            this.tooltip.classList.add('time-chart-tooltip');
-            this.tooltip.appendChild(document.createElement('span'));
-            this.container.appendChild(this.tooltip);
-        }
-
-        if (!show) {
-            this.tooltip.style.visibility = "hidden";
-            return;
-        }
-
-        clear(this.tooltip);
-        this.tooltip.innerHTML = this.hover.callback(title, value);
-        this.tooltip.style.top = g.getBoundingClientRect().y - 43 + "px";
-        this.tooltip.style.left = `calc(${g.getBoundingClientRect().x + g.getBoundingClientRect().width / 2 - this.tooltip.getBoundingClientRect().width / 2}px)`;
-        this.tooltip.style.visibility = "visible";
-        this.drawing = false;
+    showTooltip(show, g, time, entries) {
+        toggleTooltip(this, show, () => this.hover.callback(time, entries), tooltipAbove(g));
     }
 
     /**
      * Replaces the existing data with new data.
-     * @param {array} [data] - the data to be displayed
-     * @param {string[]} [data.labels] - the labels underneath each bar
-     * @param {Object[]} [data.datasets] - each dataset represents one "block" of a bar. To create a stacked bar chart have multiple datasets.
-     * @param {number[]} data.datasets[].values - the values for each "block" of a bar. Should be between 0 and 1. 
-     * @param {string} [data.datasets[].title] - the title for the dataset.
+     * @param {Object[]} data - the data to be displayed. Each object is one series (a line).
+     * @param {string} [data[].title] - the title of the series.
+     * @param {string} [data[].color] - the color of the series.
+     * @param {Object[]} data[].values - the points of the series (time and value).
      */
     setData(data) {
         this.data = data;
-        if (this.orientation !== "horizontal") {
-            this.drawVertical();
-        } else {
-            this.drawHorizontal();
-        }
+        this.draw();
     }
 }
 
 /**
- * Creates a timeline
+ * Creates a calendar heatmap with one cell per day
  * @class
  */
-class Timeline {
+class Heatmap extends Chart {
     /**
-     * Constructs a timeline
+     * Constructs a heatmap. Days are arranged in columns of weeks, the color of a day depends on its value.
      * @constructor
-     * @param {string} element - css query selector of the container dom element into which the chart is placed.
+     * @param {string|HTMLElement} element - the container dom element into which the chart is placed or a css query selector for it.
      * @param {Object} [params] - options.
-     * @param {Object} [params.lineHeight = 25] - the hight of a bar in a timeline in px.
-     * @param {Object} [params.scale] - options for the scale at the top of the timelines
-     * @param {number} [params.scale.from = 0] - the time in minutes at which the timeline should start.
-     * @param {number} [params.scale.to = 1440] - the time in minutes at which the timeline should end.
-     * @param {number} [params.scale.interval = 240] - the interval at which labels are shown on the scale.
-     * @param {number} [params.scale.intervalStart = 0] - the point at which the interval starts counting.
-     * @param {array} [params.data] - the data to be displayed.
-     * @param {Object[]} [params.data.timelines] - each object represents one timeline. For multiple timelines under each other, have multiple objects.
-     * @param {string} [params.data.timelines[].label] - the label to the right of the timeline.
-     * @param {Object[]} params.data.timelines[].values - the values (marked time slots).
-     * @param {number} params.data.timelines[].values[].start - the point at which the time slot starts in minutes.
-     * @param {number} params.data.timelines[].values[].length - the point at which the time slot ends in minutes.
-     * @param {string} [params.data.timelines[].values[].title] - the title of the time slot.
-     * @param {string[]} [params.data.timelines[].colors = ['#7cd6fd', '#5e64ff', '#743ee2', '#ff5858', '#ffa00a', '#feef72', '#28a745', '#98d85b', '#b554ff', '#ffa3ef', '#36114C', '#bdd3e6', '#f0f4f7', '#b8c2cc']] - the colors for the timeline.
+     * @param {Object[]} [params.data] - the data to be displayed. Values on the same day are added up.
+     * @param {Date|string|number} params.data[].date - the day as a Date, an ISO string or epoch milliseconds.
+     * @param {number} params.data[].value - the value of the day, e.g. the tracked minutes.
+     * @param {Date|string|number} [params.from] - the first day shown. Defaults to one year before params.to.
+     * @param {Date|string|number} [params.to] - the last day shown. Defaults to the last day with data or today.
+     * @param {number} [params.weekStart = 0] - the first day of the week (0 for sunday, 1 for monday).
+     * @param {number} [params.max] - the value at which the darkest color is used. Defaults to the highest value.
      * @param {Object} [params.padding] - padding in all directions of the chart.
      * @param {number|string} [params.padding.top] - top padding for the chart.
      * @param {number|string} [params.padding.right] - right padding for the chart.
      * @param {number|string} [params.padding.bottom] - bottom padding for the chart.
      * @param {number|string} [params.padding.left] - left padding for the chart.
-     * @param {Object} [params.colors] - custom colors
-     * @param {string} [params.colors.background = "#E3E6E9"] - the color of the background of the bars (not the color of background of the whole chart).
-     * @param {string} [params.colors.text = "black"] - the color of the text.
-     * @param {string} [params.round = true] - if the timeline is round.
+     * @param {string[]} [params.colors] - the color scale. The first color is used for days without a value, the others for increasing values. Defaults to the scale of the theme.
+     * @param {string} [params.textColor] - the color of the text. Defaults to the text color of the theme.
      * @param {string} [params.font = 'Roboto'] - the font for all writing. Font must be imported separately.
-     * @param {Object} [params.hover] - options for the hover effect.
-     * @param {boolean} [params.hover.visible = true] - whether the titles should be shown on hover or not.
-     * @param {Function} [params.hover.callback] - function that returns html that is displayed in the hover effect. Receives (title, start, end).
      * @param {Object} [params.legend] - options for the legend.
-     * @param {boolean} [params.legend.visible = true] - whether a legend should be shown underneath the timelines.
-     * @param {number} [params.legend.distance = 15] - distance from the last timeline to the legend in px. Always set to 0 if params.legend.visible === false.
-     * @param {number} [params.legend.textColor = "white"] - the color of the text in the legend.
-     * @param {number} [params.legend.textWidth = "variable"] - distance between the legend text and the legend.
-     * @param {'variable' | number} [params.distance = 'variable'] - whether the distance between timelines should be variable (based on svg size) or a fixed number of px.
-     * @param {boolean} [params.adjustSize = false] - whether the size of the container should be adjusted based on the needed space. Only works if params.distance != 'variable'.
+     * @param {boolean} [params.legend.visible = true] - whether the color scale is shown underneath the days.
+     * @param {string} [params.legend.less = "Less"] - the text before the color scale.
+     * @param {string} [params.legend.more = "More"] - the text after the color scale.
+     * @param {Object} [params.hover] - options for the hover effect.
+     * @param {boolean} [params.hover.visible = true] - whether the values should be shown on hover or not.
+     * @param {Function} [params.hover.callback] - function that returns html that is displayed in the hover effect. Receives (date, value).
+     * @param {Object} [params.format] - options for formatting days.
+     * @param {string|string[]} [params.format.locale] - the locale, e.g. "de-DE". Defaults to the locale of the browser.
+     * @param {string} [params.format.timeZone] - the IANA time zone in which days start, e.g. "Europe/Berlin". Defaults to the local time zone.
+     * @param {Function} [params.format.day] - custom formatter for the days in the hover effect. Receives the start of the day as a Date.
+     * @param {'light' | 'dark' | 'auto' | Object} [params.theme = 'light'] - the color theme. 'auto' follows the color scheme of the system. An object overrides single colors of the light theme (background, grid, text, muted, tooltipBackground, tooltipText, palette, scale). The colors can also be set with CSS variables, e.g. --tc-background or --tc-palette.
      * @throws Will throw an error if the container element is not found.
      */
     constructor(element, params) {
-        this.container = document.querySelector(element);
-        if (this.container == null) {
-            console.error("Container for chart does not exist");
-            return;
-        }
+        super(element, params);
+    }
 
+    /**
+     * Sets the options, draws the chart and starts listening to changes of its size
+     * @private
+     * @param {Object} params - the options. See the constructor.
+     */
+    init(params) {
         // Extract parameters and sets defaults if parameters not available
         mergeObjects(params, {
-            scale: {
-                from: 0,
-                to: 1440,
-                interval: 240,
-                intervalStart: 0
-            },
-            data: {
-                timelines: [],
-            },
+            data: [],
+            from: undefined,
+            to: undefined,
+            weekStart: 0,
+            max: undefined,
             padding: {
                 top: 0,
                 right: 0,
                 bottom: 0,
                 left: 0
             },
-            colors: {
-                background: "#E3E6E9",
-                text: "black"
-            },
+            colors: undefined,
+            textColor: undefined,
             font: "Roboto",
-            hover: {
+            legend: {
                 visible: true,
-                callback: (title, start, end) => `<span style="color: gray">${this.formatMinutes2(start)} - ${this.formatMinutes2(end)}</span>${title !== "" ? ": " + title : ""}`
+                less: "Less",
+                more: "More"
             },
-            legend: {
+            hover: {
                 visible: true,
-                distance: 15,
-                textColor: "white",
-                textWidth: "variable"
+                callback: (date, value) => `<span style="color: gray">${this.formatter.day(date)}</span>: ${value}`
             },
-            round: true,
-            lineHeight: 25,
-            distance: 'variable',
-            adjustSize: false,
+            format: {
+                locale: undefined,
+                timeZone: undefined,
+                day: undefined
+            },
+            theme: "light"
         });
 
-        this.scale = params.scale;
+        this.options = params;
         this.data = params.data;
+        this.from = params.from;
+        this.to = params.to;
+        this.weekStart = params.weekStart;
+        this.max = params.max;
         this.padding = params.padding;
         this.font = params.font;
+        this.legend = params.legend;
         this.hover = params.hover;
-        this.legend = params.legend.visible;
-        this.legendDistance = params.legend.distance;
-        this.legendTextColor = params.legend.textColor;
-        this.legendTextWidth = params.legend.textWidth;
-        this.lineHeight = params.lineHeight;
-        this.distance = params.distance;
-        this.adjustSize = this.distance !== 'variable' && params.adjustSize;
-        this.backgroundColor = params.colors.background;
-        this.textColor = params.colors.text;
+        this.timeZone = params.format.timeZone;
+        this.formatter = new Formatter(params.format);
+        this.monthFormat = new Intl.DateTimeFormat(params.format.locale, { month: "short", timeZone: params.format.timeZone });
+        this.weekdayFormat = new Intl.DateTimeFormat(params.format.locale, { weekday: "short", timeZone: "UTC" });
         this.drawing = false;
-        this.round = params.round;
 
         this.draw();
-        if (typeof ResizeObserver === "function") {
-            const ro = new ResizeObserver(entries => {
-                if(this.drawing || entries[0].contentRect.width === 0 || entries[0].contentRect.height === 0)
-                    return;
-                this.draw();
-            });
-            ro.observe(this.container);
-        } else {
-            window.addEventListener('resize', () => {
-                if(this.drawing)
-                    return;
-                this.draw();
-            });
+        if (!Draw.renderer.live) { // Charts rendered without a browser are static
+            return;
         }
+        observeResize(this);
+        observeColorScheme(this);
     }
 
     /**
-     * Draws the timeline
+     * Adds up the values per day
      * @private
+     * @returns {Object} - the sum of the values per start of the day in minutes
      */
-    draw() {
-        this.drawing = true;
-        const realWidth = this.container.clientWidth - this.padding.right - this.padding.left;
-        const viewboxWidthScale = 100 / realWidth;
-        const lineCount = this.data.timelines.length;
-        const textWidth1 = this.data.timelines.reduce((p, c) => Math.max(p, c.label.length > 0 ? (40 + c.label.length * 7.5) * viewboxWidthScale : 0), 0); // 7.5 per char 
-        const textWidth2 = this.data.timelines.reduce((p, c) => Math.max(p, c.values.reduce((p, c) => Math.max(p, (10 + this.formatMinutes(c.length).length * 7.5) * viewboxWidthScale), 0)), 0); // 7.5 per char
-        const widthLeft = this.legendTextWidth === "variable" ? Math.max(textWidth1 + textWidth2, 20 * viewboxWidthScale) : this.legendTextWidth * viewboxWidthScale;
-        const widthRight = 20 * viewboxWidthScale;
-        const scaleHeight = 20;
-        const lineWidth = 100 - widthLeft - widthRight;
-        const lineHeight = this.lineHeight;
-        let legendLines = this.legend ? 1 : 0;
-        if(this.legend) {
-            const legendTitles = [].concat.apply([], this.data.timelines.map(t => t.values.map(v => {
-                return {
-                    title: v.title,
-                    length: v.length
-                }
-            })));
-
-            const groupedTitles = {};
-
-            for(const l of legendTitles) {
-                if(!groupedTitles[l.title])
-                groupedTitles[l.title] = l.length;
-                else
-                groupedTitles[l.title] += l.length;
-            }
-            
-            let x = 0;
-            for(let key of Object.keys(groupedTitles)) {
-                const width = ((`${key} - ${this.formatMinutes(groupedTitles[key])}`).length * 7.5 * viewboxWidthScale) + 2 * (lineHeight / 2 * viewboxWidthScale);
-                if(x + width > lineWidth) {
-                    legendLines++;
-                    x = 0;
-                }
-                x = x + width + 10 * viewboxWidthScale;
-            }
+    getDays() {
+        const days = {};
+        for (const d of this.data) {
+            const day = startOfDay(toMinutes(d.date, "milliseconds"), this.timeZone);
+            days[day] = (days[day] || 0) + (d.value || 0);
         }
-        
-        const legendHeight = this.legend ? lineHeight : 10;
-        const legendTotalHeight = this.legend ? (legendHeight + 10) * legendLines - 10 : 0;
-        const legendSpacing = this.legend ? this.legendDistance : 0;
+        return days;
+    }
 
-        if (this.adjustSize) {
-            const height = scaleHeight + legendTotalHeight + legendSpacing + lineCount * (lineHeight + this.distance) + this.padding.top + this.padding.bottom;
-            this.container.style.height = `${height}px`;
-        }
+    /**
+     * Takes the colors that are not set in the options from the theme
+     * @private
+     */
+    applyTheme() {
+        this.theme = resolveTheme(this.container, this.options.theme);
+        this.colors = this.options.colors || this.theme.scale;
+        this.textColor = this.options.textColor || this.theme.text;
+    }
 
+    /**
+     * Draws the heatmap
+     * @private
+     */
+    draw() {
+        this.applyTheme();
+        this.drawing = true;
+        const values = this.getDays();
+        const realWidth = this.container.clientWidth - this.padding.right - this.padding.left;
         const realHeight = this.container.clientHeight - this.padding.top - this.padding.bottom;
-        const viewboxHeightScale = realHeight / 100;
-        const lineSpacing = this.distance === 'variable' ? (100 * viewboxHeightScale - scaleHeight - legendHeight - legendSpacing) / lineCount - lineHeight : this.distance;
-        const scaleStart = Math.max(0.5 * lineSpacing - scaleHeight, 0);
 
-        if(viewboxHeightScale <= 0) {
+        if (realWidth <= 0 || realHeight <= 0) {
             clear(this.container);
+            this.drawing = false;
             return;
         }
 
-        this.svg = Draw.svg(`calc(100% - ${this.padding.right + this.padding.left}px)`, `calc(100% - ${this.padding.top + this.padding.bottom}px)`, 100, 100 * viewboxHeightScale);
+        // Range of days, starting at the beginning of a week
+        const dataDays = Object.keys(values).map(Number);
+        const to = startOfDay(this.to !== undefined ? toMinutes(this.to, "milliseconds") : dataDays.length > 0 ? Math.max.apply(null, dataDays) : Date.now() / 60000, this.timeZone);
+        const firstDay = startOfDay(this.from !== undefined ? toMinutes(this.from, "milliseconds") : to - 364 * 1440 + 720, this.timeZone);
+        let from = firstDay;
+        while (wallClock(from, this.timeZone).getUTCDay() !== this.weekStart) {
+            from = startOfDay(from - 720, this.timeZone);
+        }
+        const days = [from].concat(timeBoundaries(from, to + 1, "day", true, this.timeZone));
+        const weekCount = Math.ceil(days.length / 7);
+        const max = this.max !== undefined ? this.max : dataDays.reduce((p, c) => Math.max(p, values[c]), 0);
+
+        // Layout in px, the cells are squares
+        const weekdayWidth = [1, 3, 5].reduce((p, c) => Math.max(p, measureText(this.weekdayFormat.format(new Date(Date.UTC(2023, 0, 1 + (this.weekStart + c) % 7))), this.font, 12)), 0) + 8;
+        const monthHeight = 20;
+        const legendHeight = this.legend.visible ? 25 : 0;
+        const cellSize = Math.max(1, Math.min((realWidth - weekdayWidth) / weekCount, (realHeight - monthHeight - legendHeight) / 7));
+        const cellGap = Math.max(1, Math.round(cellSize * 0.15));
+        const rx = Math.min(2, cellSize / 4);
+
+        this.svg = Draw.svg(`calc(100% - ${this.padding.right + this.padding.left}px)`, `calc(100% - ${this.padding.top + this.padding.bottom}px)`, realWidth, realHeight, {
+            preserveAspectRatio: "xMinYMin"
+        });
 
         // Padding
         this.svg.style.paddingTop = this.padding.top;
@@ -1135,451 +6450,879 @@ class Timeline {
         this.svg.style.paddingLeft = this.padding.left;
         this.svg.style.boxSizing = "initial";
 
-        // Draw scale
-        const from = this.scale.from;
-        const to = this.scale.to;
-        const interval = this.scale.interval;
-        const intervalStart = (this.scale.intervalStart) / (to - from) * lineWidth;
-        const intervalSteps = Math.floor((to - from) / interval);
-        const intervalStepsWidth = lineWidth / intervalSteps;
-
-        for (let i = 0; i <= intervalSteps; i++) {
-            const text = Draw.text(widthLeft + intervalStart + i * intervalStepsWidth, scaleStart, this.formatMinutes2(from + this.scale.intervalStart + i * interval), this.textColor, this.font, { "text-anchor": "middle", "alignment-baseline": "text-before-edge" });
-            text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
+        // Weekday labels, every second day
+        for (const row of [1, 3, 5]) {
+            const weekday = new Date(Date.UTC(2023, 0, 1 + (this.weekStart + row) % 7)); // 2023-01-01 is a sunday
+            const text = Draw.text(0, monthHeight + (row + 0.5) * cellSize, this.weekdayFormat.format(weekday), this.textColor, this.font, { "text-anchor": "start", "alignment-baseline": "central", "font-size": "12px" });
             this.svg.appendChild(text);
         }
 
-        let x = 0;
-        let y = 0;
+        // Draw days
+        let lastMonthLabel = -Infinity;
+        for (let i = 0; i < days.length; i++) {
+            const day = days[i];
+            const week = Math.floor(i / 7);
+            const x = weekdayWidth + week * cellSize;
+            const y = monthHeight + (i % 7) * cellSize;
+
+            // Month label above the week that contains the first day of a month
+            if (i % 7 === 0) {
+                const lastDay = days[Math.min(i + 6, days.length - 1)];
+                if ((i === 0 || wallClock(lastDay, this.timeZone).getUTCDate() <= 7) && x - lastMonthLabel > 30) {
+                    const text = Draw.text(x, monthHeight / 2, this.monthFormat.format(new Date(lastDay * 60000)), this.textColor, this.font, { "text-anchor": "start", "alignment-baseline": "central", "font-size": "12px" });
+                    this.svg.appendChild(text);
+                    lastMonthLabel = x;
+                }
+            }
 
-        // Draw data
-        for (let i = 0; i < lineCount; i++) {
-            const label = this.data.timelines[i].label || "";
-            const values = this.data.timelines[i].values || [];
-            const colors = this.data.timelines[i].colors || ['#7cd6fd', '#5e64ff', '#743ee2', '#ff5858', '#ffa00a', '#feef72', '#28a745', '#98d85b', '#b554ff', '#ffa3ef', '#36114C', '#bdd3e6', '#f0f4f7', '#b8c2cc'];
-            const valueMap = {}; // Helper to calculate grouped values and store color codes
-            const sum = this.data.timelines[i].values.reduce((p, c) => p + c.length, 0);
+            if (day < firstDay) { // Padding before the first day
+                continue;
+            }
 
-            const rx = lineHeight / 2 * viewboxWidthScale;
-            const ry = lineHeight / 2;
+            const value = values[day] || 0;
+            const cell = Draw.rect(x, y, cellSize - cellGap, cellSize - cellGap, this.color(value, max), { rx, ry: rx });
+            this.svg.appendChild(cell);
 
-            // Draw background
-            // Gray background
-            const background = Draw.path(
-                `M ${widthLeft + rx}, ${scaleStart + scaleHeight + i * (lineSpacing + lineHeight)} a ${rx},${ry} 0 0 0 0,${lineHeight} h ${lineWidth - rx * 2} a ${rx},${ry} 0 0 0 0,${-lineHeight} z`,
-                this.backgroundColor
-            );
-            this.svg.appendChild(background);
+            if (this.hover.visible) {
+                cell.addEventListener('mouseenter', evt => { this.showTooltip(true, cell, new Date(day * 60000), value) });
+                cell.addEventListener("mouseleave", evt => { this.showTooltip(false) });
+            }
+        }
+
+        // Draw legend
+        if (this.legend.visible) {
+            const legendY = monthHeight + 7 * cellSize + 5;
+            const legendCell = Math.min(cellSize - cellGap, 15);
+            const right = weekdayWidth + weekCount * cellSize - cellGap;
+            const moreWidth = measureText(this.legend.more, this.font, 12);
+            let x = right - moreWidth - this.colors.length * (legendCell + cellGap) - 5;
 
-            // White stripes each hour
-            const steps = (to - from) / 60;
-            const stepWidth = lineWidth / steps;
+            const less = Draw.text(x - 5, legendY + legendCell / 2, this.legend.less, this.textColor, this.font, { "text-anchor": "end", "alignment-baseline": "central", "font-size": "12px" });
+            this.svg.appendChild(less);
 
-            for (let j = 1; j < steps; j++) {
-                const rect = Draw.rect(widthLeft + j * stepWidth - (1 * viewboxWidthScale), scaleStart + scaleHeight + i * (lineSpacing + lineHeight), (2 * viewboxWidthScale), lineHeight, "white");
-                this.svg.appendChild(rect);
+            for (const color of this.colors) {
+                this.svg.appendChild(Draw.rect(x, legendY, legendCell, legendCell, color, { rx, ry: rx }));
+                x += legendCell + cellGap;
             }
 
-            // Draw foreground
-            for (let j = 0; j < values.length; j++) {
-                const relativeStart = (Math.max(0, values[j].start - from) / (to - from));
-                const relativeLength = (Math.max(0, values[j].start - from + values[j].length) / (to - from));
-                const title = values[j].title || "";
+            const more = Draw.text(x + 5, legendY + legendCell / 2, this.legend.more, this.textColor, this.font, { "text-anchor": "start", "alignment-baseline": "central", "font-size": "12px" });
+            this.svg.appendChild(more);
+        }
 
-                let color = "";
+        clear(this.container);
+        this.tooltip = undefined;
+        this.container.appendChild(this.svg);
+        this.drawing = false;
+    }
 
-                if (!(title in valueMap)) { // sub-category has not be encountered before
-                    color = colors[Object.keys(valueMap).length % colors.length];
-                    valueMap[title] = {
-                        color: color,
-                        value: values[j].length
-                    }
-                } else {
-                    color = valueMap[title].color;
-                    valueMap[title].value = valueMap[title].value + values[j].length;
-                }
+    /**
+     * Picks the color of a value
+     * @private
+     * @param {number} value - the value
+     * @param {number} max - the value of the darkest color
+     * @returns {string} - the color
+     */
+    color(value, max) {
+        if (value <= 0 || max <= 0) {
+            return this.colors[0];
+        }
+        const level = Math.ceil(Math.min(value / max, 1) * (this.colors.length - 1));
+        return this.colors[Math.max(1, level)];
+    }
 
-                let foreground;
-                const width = (lineWidth * (relativeLength - relativeStart));
+    /**
+     * Draws a tooltip at the horizontal center of the element
+     * @private
+     * @param {boolean} show - Whether to show or hide the tooltip
+     * @param {Object} g - the element on which the tooltip is centered
+     * @param {Date} date - the start of the day
+     * @param {number} value - the value of the day
+     */
+    showTooltip(show, g, date, value) {
+        toggleTooltip(this, show, () => this.hover.callback(date, value), tooltipAbove(g, 43));
+    }
 
-                const polarToCartesian = (centerX, centerY, radius, angleInDegrees) => {
-                    const angleInRadians = (angleInDegrees - 90) * Math.PI / 180.0;
+    /**
+     * Replaces the existing data with new data.
+     * @param {Object[]} data - the data to be displayed. Values on the same day are added up.
+     * @param {Date|string|number} data[].date - the day as a Date, an ISO string or epoch milliseconds.
+     * @param {number} data[].value - the value of the day.
+     */
+    setData(data) {
+        this.data = data;
+        this.draw();
+    }
+}
 
-                    return {
-                        x: centerX + (radius * Math.cos(angleInRadians)),
-                        y: centerY + (radius * Math.sin(angleInRadians))
-                    };
-                }
+/**
+ * Renders a chart into standalone svg markup without a browser, e.g. to create charts for emails in Node.
+ * Without a browser texts cannot be measured, so a measureText function is required. If it measures like the browser (e.g. node-canvas with the same font files), label widths and shortened labels are the same as in the browser.
+ * Unlike toSVGString(), the font is not embedded because there are no stylesheets to take it from. The font has to be available where the svg is shown.
+ * @param {'Barchart' | 'Timeline' | 'Piechart' | 'Gantt' | 'Clock' | 'Linechart' | 'Heatmap' | Function} type - the type of the chart.
+ * @param {Object} [options] - the options of the chart. See the constructor of the chart.
+ * @param {Object} [size] - the size of the chart.
+ * @param {number} [size.width = 800] - the width in px.
+ * @param {number} [size.height = 400] - the height in px.
+ * @param {Function} size.measureText - measures the width of a text in px, e.g. with node-canvas. Receives (text, font, size, weight).
+ * @returns {string} - the svg
+ * @throws Will throw an error if the type is unknown, measureText is missing or the chart could not be drawn.
+ */
+function renderToString(type, options, size) {
+    const charts = { Barchart, Clock, Gantt, Heatmap, Linechart, Piechart, Timeline };
+    const ChartType = typeof type === "function" ? type : charts[Object.keys(charts).find(name => name.toLowerCase() === `${type}`.toLowerCase())];
+    if (ChartType === undefined) {
+        throw new Error(`Unknown chart type "${type}"`);
+    }
 
-                const partialCircle = (x, y, radius, startAngle, endAngle) => {
+    size = size || {};
+    if (typeof size.measureText !== "function") {
+        throw new Error("renderToString needs a measureText function to lay out texts");
+    }
 
-                    const start = polarToCartesian(x, y, radius, endAngle);
-                    const end = polarToCartesian(x, y, radius, startAngle);
+    const container = new VirtualElement("div", size.width || 800, size.height || 400);
+    return withRenderer(Object.assign({}, virtualRenderer, { measureText: size.measureText }), () => {
+        const chart = new ChartType(container, options || {});
+        return Draw.renderer.serialize(standaloneSVG(chart.svg, container));
+    });
+}
 
-                    const largeArcFlag = endAngle - startAngle <= 180 ? "0" : "1";
+///// DATA HELPERS /////
 
-                    const d = [
-                        "M", start.x, start.y,
-                        "A", radius, radius, 0, largeArcFlag, 0, end.x, end.y,
-                        "L",
-                    ].join(" ");
+/**
+ * Finds the start of the day, week or month of a point in time.
+ * @private
+ * @param {number} minutes - the point in time in minutes since the unix epoch
+ * @param {'day' | 'week' | 'month'} period - the period
+ * @param {string} [timeZone] - the IANA time zone. Defaults to the local time zone.
+ * @param {number} [weekStart = 1] - the first day of the week (0 for sunday, 1 for monday)
+ * @returns {number} - the start of the period in minutes since the unix epoch
+ */
+function startOfPeriod(minutes, period, timeZone, weekStart) {
+    let start = startOfDay(minutes, timeZone);
+    while ((period === "week" && wallClock(start, timeZone).getUTCDay() !== weekStart) || (period === "month" && wallClock(start, timeZone).getUTCDate() !== 1)) {
+        start = startOfDay(start - 720, timeZone);
+    }
+    return start;
+}
 
-                    return d;
-                }
-                const steepness = 0.05; // The smaller, the rounder
+/**
+ * Finds the start of the next day, week or month.
+ * @private
+ * @param {number} start - the start of a period in minutes since the unix epoch
+ * @param {'day' | 'week' | 'month'} period - the period
+ * @param {string} [timeZone] - the IANA time zone. Defaults to the local time zone.
+ * @param {number} [weekStart = 1] - the first day of the week (0 for sunday, 1 for monday)
+ * @returns {number} - the start of the next period in minutes since the unix epoch
+ */
+function nextPeriod(start, period, timeZone, weekStart) {
+    let next = startOfDay(start + 1560, timeZone); // 26 hours later is always on the next day
+    while (next !== startOfPeriod(next, period, timeZone, weekStart)) {
+        next = startOfDay(next + 1560, timeZone);
+    }
+    return next;
+}
 
-                if(this.round) {
-                    if (width - rx * 2 < 0) { // bar to short to form circle
-                        foreground = Draw.path(
-                            `M ${widthLeft + lineWidth * relativeStart + width / 2}, ${scaleStart + scaleHeight + i * (lineSpacing + lineHeight)} c ${-(width / 2 / 0.75)} ${lineHeight * steepness}, ${-(width / 2 / 0.75)} ${lineHeight * (1 - steepness)}, 0 ${lineHeight} v ${-lineHeight} c ${width / 2 / 0.75} ${lineHeight * steepness}, ${width / 2 / 0.75} ${lineHeight * (1 - steepness)}, 0 ${lineHeight} z`,
-                            color
-                        );
-                    } else {
-                        foreground = Draw.path(
-                            `M ${widthLeft + lineWidth * relativeStart + rx},${scaleStart + scaleHeight + i * (lineSpacing + lineHeight)} a ${rx},${ry} 0 0 0 0,${lineHeight} h ${(lineWidth * (relativeLength - relativeStart)) - rx * 2} a ${rx},${ry} 0 0 0 0,${-lineHeight} z`,
-                            color
-                        );
-                    }
-                } else {
-                    foreground = Draw.path(
-                        `M ${widthLeft + lineWidth * relativeStart},${scaleStart + scaleHeight + i * (lineSpacing + lineHeight)} h ${(lineWidth * (relativeLength - relativeStart))} v ${lineHeight} h ${-(lineWidth * (relativeLength - relativeStart))} z`,
-                        color
-                    );
-                }
+/**
+ * Converts events into time slots with start and end in minutes. Events without an end and length are left out.
+ * @private
+ * @param {Object[]} events - the events (start, end or length)
+ * @returns {Object[]} - the events with start and end in minutes and the original event
+ */
+function eventSlots(events) {
+    return events.map(event => {
+        const start = toMinutes(event.start, "milliseconds");
+        const end = event.end !== undefined ? toMinutes(event.end, "milliseconds") : start + (event.length || 0);
+        return { start, end, event };
+    }).filter(e => e.end > e.start);
+}
 
-                this.svg.appendChild(foreground);
+/**
+ * Reads the group of an event.
+ * @private
+ * @param {Object} event - the event
+ * @param {string|Function} key - the name of a property (e.g. 'title' or 'tag') or a function that receives the event
+ * @returns {string} - the group
+ */
+function groupOf(event, key) {
+    const group = typeof key === "function" ? key(event) : event[key];
+    return group === undefined || group === null ? "" : `${group}`;
+}
 
-                if (this.hover.visible) {
-                    foreground.addEventListener('mouseenter', evt => { this.showTooltip(true, foreground, values[j].start, values[j].start + values[j].length, title) });
-                    foreground.addEventListener("mouseleave", evt => { this.showTooltip(false) });
+/**
+ * Converts a date and time on the wall clock of a time zone into a point in time.
+ * @private
+ * @param {number} wall - the wall clock time in minutes since the unix epoch as if it was UTC
+ * @param {string} [timeZone] - the IANA time zone. Defaults to the local time zone.
+ * @returns {number} - the point in time in minutes since the unix epoch
+ */
+function fromWallClock(wall, timeZone) {
+    const guess = wall - timeZoneOffset(wall, timeZone);
+    return wall - timeZoneOffset(guess, timeZone); // The offset at the guess is correct unless the time is skipped by a clock change
+}
+
+/**
+ * Parses a date or date-time value of an iCalendar property.
+ * @private
+ * @param {string} value - e.g. 20261001, 20261001T090000 or 20261001T090000Z
+ * @param {string} [timeZone] - the TZID parameter. Times without Z and TZID are in the local time zone.
+ * @returns {Object} - wall (wall clock minutes), time zone, whether it is a date without time and the point in time in minutes. Undefined if the value is malformed.
+ */
+function parseICSDate(value, timeZone) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z?))?$/.exec(value.trim());
+    if (!match) {
+        return undefined;
+    }
+
+    const [, year, month, day, hour, minute, second, utc] = match;
+    const wall = Date.UTC(year, month - 1, day, hour || 0, minute || 0, second || 0) / 60000;
+    const zone = utc ? "UTC" : timeZone;
+    return { wall, timeZone: zone, date: hour === undefined, minutes: fromWallClock(wall, zone) };
+}
+
+/**
+ * Parses an iCalendar duration.
+ * @private
+ * @param {string} value - e.g. PT1H30M, P1D or -P2W
+ * @returns {number} - the duration in minutes. NaN if the value is malformed.
+ */
+function parseICSDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match || value.trim() === "P" || /T$/.test(value.trim())) {
+        return NaN;
+    }
+
+    const [, sign, weeks, days, hours, minutes, seconds] = match.map(m => m || 0);
+    const total = weeks * 10080 + days * 1440 + hours * 60 + +minutes + seconds / 60;
+    return sign === "-" ? -total : total;
+}
+
+/**
+ * Expands the recurrence rule of an event into the wall clock times of all occurrences.
+ * @private
+ * @param {string} rule - the RRULE, e.g. FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10
+ * @param {number} start - the wall clock time of the first occurrence in minutes
+ * @param {string} [timeZone] - the time zone of the event
+ * @param {number} limit - the maximum number of occurrences
+ * @returns {number[]} - the wall clock times. Undefined if the rule is not supported.
+ */
+function expandRRule(rule, start, timeZone, limit) {
+    const parts = {};
+    for (const part of rule.split(";").filter(p => p !== "")) {
+        const [key, value] = part.split("=");
+        parts[key.toUpperCase()] = value;
+    }
+
+    const frequency = parts.FREQ;
+    if (!["DAILY", "WEEKLY", "MONTHLY", "YEARLY"].includes(frequency)) {
+        return undefined;
+    }
+
+    const supported = ["FREQ", "INTERVAL", "COUNT", "UNTIL", "WKST"].concat(frequency === "WEEKLY" ? ["BYDAY"] : []);
+    if (Object.keys(parts).some(key => !supported.includes(key)) || (parts.WKST !== undefined && parts.WKST.toUpperCase() !== "MO")) {
+        return undefined; // E.g. BYMONTHDAY or BYDAY=2TU would give wrong dates
+    }
+
+    const interval = parseInt(parts.INTERVAL || "1", 10);
+    const count = parts.COUNT !== undefined ? parseInt(parts.COUNT, 10) : Infinity;
+    const until = parts.UNTIL !== undefined ? parseICSDate(parts.UNTIL, timeZone) : undefined;
+    const weekdays = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+    const byDay = parts.BYDAY !== undefined ? parts.BYDAY.toUpperCase().split(",").map(d => weekdays.indexOf(d.trim())) : undefined;
+
+    if (!(interval > 0) || (parts.UNTIL !== undefined && until === undefined) || (byDay && (byDay.length === 0 || byDay.includes(-1)))) {
+        return undefined;
+    }
+
+    const first = new Date(start * 60000);
+    const occurrences = [];
+    const add = wall => {
+        if (until !== undefined && (until.date ? wall >= until.wall + 1440 : fromWallClock(wall, timeZone) > until.minutes)) {
+            return false;
+        }
+        if (wall >= start) {
+            occurrences.push(wall);
+        }
+        return occurrences.length < Math.min(count, limit);
+    };
+
+    for (let i = 0; ; i++) {
+        const date = new Date(first.getTime());
+        if (frequency === "DAILY") {
+            date.setUTCDate(first.getUTCDate() + i * interval);
+        } else if (frequency === "WEEKLY") {
+            date.setUTCDate(first.getUTCDate() + i * interval * 7);
+        } else if (frequency === "MONTHLY") {
+            date.setUTCMonth(first.getUTCMonth() + i * interval, 1);
+            if (new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate() < first.getUTCDate()) {
+                continue; // Months without this day are skipped
+            }
+            date.setUTCDate(first.getUTCDate());
+        } else {
+            date.setUTCFullYear(first.getUTCFullYear() + i * interval, first.getUTCMonth(), 1);
+            if (new Date(Date.UTC(date.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate() < first.getUTCDate()) {
+                continue; // February 29th
+            }
+            date.setUTCDate(first.getUTCDate());
+        }
+
+        if (i > 100000) { // Rules without COUNT and UNTIL end at the limit, this is a safeguard against rules that never match
+            break;
+        }
+
+        if (byDay) { // All listed days of the week, weeks start on monday
+            const weekStart = date.getTime() / 60000 - (date.getUTCDay() + 6) % 7 * 1440;
+            const days = byDay.map(d => weekStart + (d + 6) % 7 * 1440).sort((a, b) => a - b);
+            if (!days.every(add)) {
+                break;
+            }
+        } else if (!add(date.getTime() / 60000)) {
+            break;
+        }
+    }
+    return occurrences;
+}
+
+/**
+ * Splits CSV text into rows of fields. Supports quoted fields with delimiters, quotes and line breaks.
+ * @private
+ * @param {string} text - the CSV text
+ * @param {string} delimiter - the delimiter
+ * @returns {Object[]} - the rows with their fields and line number
+ */
+function splitCSV(text, delimiter) {
+    const rows = [];
+    let fields = [];
+    let field = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === "\n") {
+                    line++;
                 }
+                field += char;
+            }
+        } else if (char === '"' && field === "") {
+            quoted = true;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") {
+                i++;
             }
+            fields.push(field);
+            rows.push({ fields, line: rowLine });
+            fields = [];
+            field = "";
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
 
-            // Draw label
-            const text = Draw.text(0.5 * textWidth1, scaleStart + scaleHeight + i * lineSpacing + (i + 0.5) * lineHeight, label, this.textColor, this.font, { "text-anchor": "middle", "alignment-baseline": "central", "font-weight": "bold" });
-            text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
-            this.svg.appendChild(text);
+    if (field !== "" || fields.length > 0) {
+        fields.push(field);
+        rows.push({ fields, line: rowLine });
+    }
+    return rows.filter(r => r.fields.some(f => f.trim() !== ""));
+}
 
-            // Draw sum
-            const text2 = Draw.text(textWidth1, scaleStart + scaleHeight + i * lineSpacing + (i + 0.5) * lineHeight, this.formatMinutes(sum), this.textColor, this.font, { "text-anchor": "start", "alignment-baseline": "central" });
-            text2.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text2.getAttribute("x")) / viewboxWidthScale - parseFloat(text2.getAttribute("x"))}, 0)`);
-            this.svg.appendChild(text2);
+/**
+ * Parses a date and time of a CSV export.
+ * @private
+ * @param {string} value - ISO (2026-10-01 09:00), US (10/01/2026 9:00 AM) or European (01.10.2026 09:00) formats. Values with Z or an offset are absolute, others are in the time zone.
+ * @param {string} [timeZone] - the IANA time zone of values without offset. Defaults to the local time zone.
+ * @returns {number} - the point in time in minutes since the unix epoch. NaN if the value is malformed.
+ */
+function parseCSVDate(value, timeZone) {
+    value = value.trim();
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i.exec(value);
+    let year, month, day, hour, minute, second, meridiem, offset;
+
+    if (match) {
+        [, year, month, day, hour, minute, second, offset] = match;
+    } else if ((match = /^(\d{1,2})([/.])(\d{1,2})\2(\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?$/i.exec(value))) {
+        const dayFirst = match[2] === ".";
+        [year, hour, minute, second, meridiem] = [match[4], match[5], match[6], match[7], match[8]];
+        month = dayFirst ? match[3] : match[1];
+        day = dayFirst ? match[1] : match[3];
+    } else {
+        return NaN;
+    }
 
-            // Draw legend
-            if (this.legend) {
-                for (let key of Object.keys(valueMap)) {
-                    const content = `${key} - ${this.formatMinutes(valueMap[key].value)}`;
-                    const width = (content.length * 7.5 * viewboxWidthScale) + 2 * rx;
-                    if(x + width > lineWidth) {
-                        x = 0;
-                        y += legendHeight + 10;
-                    }
+    hour = parseInt(hour || "0", 10);
+    if (meridiem) {
+        hour = hour % 12 + (meridiem.toUpperCase() === "PM" ? 12 : 0);
+    }
 
-                    const legend = Draw.path(
-                        `M ${widthLeft + x + rx},${scaleStart + legendSpacing + scaleHeight + (lineCount - 1) * lineSpacing + lineCount * lineHeight + y} a ${rx},${ry} 0 0 0 0,${legendHeight} h ${width - rx * 2} a ${rx},${ry} 0 0 0 0,${-legendHeight} z`,
-                        valueMap[key].color
-                    );
-                    this.svg.appendChild(legend);
+    const wall = Date.UTC(year, month - 1, day, hour, minute || 0, second || 0) / 60000;
+    const date = new Date(wall * 60000);
+    if (month < 1 || month > 12 || date.getUTCDate() !== parseInt(day, 10) || hour > 23 || minute > 59) {
+        return NaN;
+    }
 
-                    const text = Draw.text(widthLeft + x + 0.5 * width, scaleStart + legendSpacing + legendHeight * 0.5 + scaleHeight + (lineCount - 1) * lineSpacing + lineCount * lineHeight + y, content, this.legendTextColor, this.font, { "text-anchor": "middle", "alignment-baseline": "central" });
-                    text.setAttribute("transform", `scale(${viewboxWidthScale},1) translate(${parseFloat(text.getAttribute("x")) / viewboxWidthScale - parseFloat(text.getAttribute("x"))}, 0)`);
-                    this.svg.appendChild(text);
+    if (offset) {
+        const [, sign, hours, minutes] = /^([+-])(\d{2}):?(\d{2})$/.exec(offset.toUpperCase() === "Z" ? "+00:00" : offset);
+        return wall - (sign === "-" ? -1 : 1) * (hours * 60 + +minutes);
+    }
+    return fromWallClock(wall, timeZone);
+}
 
-                    x = x + width + 10 * viewboxWidthScale; // previous x, width of the rectangle and padding
-                }
-            }
-            
+/**
+ * Parses a duration of a CSV export.
+ * @private
+ * @param {string} value - e.g. 01:30:00, 1:30 or a decimal number
+ * @param {'hours' | 'minutes'} unit - the unit of decimal numbers
+ * @returns {number} - the duration in minutes. NaN if the value is malformed.
+ */
+function parseCSVDuration(value, unit) {
+    value = value.trim();
+    const match = /^(\d+):(\d{2})(?::(\d{2}))?$/.exec(value);
+    if (match) {
+        return match[1] * 60 + +match[2] + (match[3] || 0) / 60;
+    } else if (/^\d+(?:[.,]\d+)?$/.test(value)) {
+        const number = parseFloat(value.replace(",", "."));
+        return unit === "minutes" ? number : number * 60;
+    }
+    return NaN;
+}
+
+/**
+ * Creates the timelines of a Timeline with one timeline per row.
+ * @private
+ * @param {Object[]} events - the events with start and end as Dates, title and row
+ * @returns {Object[]} - the timelines in the order in which the rows first occur
+ */
+function eventTimelines(events) {
+    const timelines = [];
+    const rows = {};
+    for (const event of events) {
+        const row = event.row === undefined ? "" : `${event.row}`;
+        if (!(row in rows)) {
+            rows[row] = { label: row, values: [] };
+            timelines.push(rows[row]);
         }
-        
-        clear(this.container);
-        this.tooltip = undefined;
-        this.container.appendChild(this.svg);
-        this.drawing = false;
+        rows[row].values.push({ start: event.start, end: event.end, title: event.title });
     }
+    return timelines;
+}
 
-    /**
-     * Converts a number of minutes into a string
-     * @private
-     * @param {number} minutes - the minutes
-     * @returns {string} - format: 4h 35m
-     */
-    formatMinutes(minutes) {
-        const h = Math.floor(minutes / 60);
-        const m = Math.floor(minutes % 60);
+/**
+ * Adds the occurrences of a parsed VEVENT to the events.
+ * @private
+ * @param {Object} event - the parsed properties
+ * @param {Object[]} events - the events
+ * @param {Object[]} errors - the errors
+ * @param {Object} options - the options of parseICS
+ * @param {number} until - the end of the expansion in minutes
+ */
+function addICSEvent(event, events, errors, options, until) {
+    if (event.start === undefined) {
+        errors.push({ line: event.line, message: "VEVENT without a valid DTSTART" });
+        return;
+    }
 
-        if (m === 0 && h === 0) {
-            return "";
-        } else if (m === 0) {
-            return `${h}h`;
-        } else if (h === 0) {
-            return `${m}m`;
-        } {
-            return `${h}h ${m}m`;
-        }
+    const start = event.start;
+    let length;
+    if (event.end !== undefined) {
+        length = event.end.minutes - start.minutes;
+    } else if (event.duration !== undefined && !isNaN(event.duration)) {
+        length = event.duration;
+    } else {
+        length = start.date ? 1440 : 0; // All-day events without end last one day
     }
 
-    /**
-     * Converts a number of minutes into a string
-     * @private
-     * @param {number} minutes - the minutes
-     * @returns {string} - format: 4:30 am
-     */
-    formatMinutes2(minutes) {
-        let h = Math.floor(minutes / 60);
-        let ending = "am";
-        const m = Math.floor(minutes % 60);
+    if (length < 0) {
+        errors.push({ line: event.line, message: "VEVENT ends before it starts" });
+        return;
+    }
 
-        if (h > 12) {
-            ending = "pm";
-            h = h - 12;
+    let walls = [start.wall];
+    if (event.rrule) {
+        walls = expandRRule(event.rrule.value, start.wall, start.timeZone, options.maxOccurrences);
+        if (walls === undefined) {
+            errors.push({ line: event.rrule.line, message: `Unsupported RRULE "${event.rrule.value}"` });
+            walls = [start.wall];
         }
+    }
 
-        if (m === 0) {
-            return `${h} ${ending}`;
-        } else {
-            return `${h}:${m < 10 ? "0" + m : m} ${ending}`;
+    for (const wall of walls) {
+        const occurrence = fromWallClock(wall, start.timeZone);
+        if (occurrence > until) {
+            break;
+        }
+        if (event.exdates.includes(occurrence)) {
+            continue;
         }
+
+        const end = start.date ? fromWallClock(wall + Math.round(length / 1440) * 1440, start.timeZone) : occurrence + length; // All-day events end at midnight, even across clock changes
+        events.push({
+            start: new Date(occurrence * 60000),
+            end: new Date(end * 60000),
+            title: event.title || "",
+            uid: event.uid,
+            allDay: start.date
+        });
     }
+}
 
+/**
+ * Helpers that turn a list of events into the data of the charts. Events have a start and an end (or a length in minutes) as Dates, ISO strings or epoch milliseconds and any other properties such as title or tag.
+ * @namespace
+ */
+const data = {
     /**
-     * Draws a tooltip at the horizontal center of the element
-     * @private
-     * @param {boolean} show - Whether to show or hide the tooltip
-     * @param {Object} g - the element on which the tooltip is centered
-     * @param {number} start - the start value in minutes
-     * @param {number} end - the vend value in minutes
-     * @param {number|string} title - the title of the element
+     * Puts events into calendar periods. Events that cross the boundary of a period are split.
+     * @param {Object[]} events - the events.
+     * @param {Object} [options] - options.
+     * @param {'day' | 'week' | 'month'} [options.period = 'day'] - the length of the periods.
+     * @param {string} [options.timeZone] - the IANA time zone in which periods start, e.g. "Europe/Berlin". Defaults to the local time zone.
+     * @param {number} [options.weekStart = 1] - the first day of the week (0 for sunday, 1 for monday).
+     * @param {Date|string|number} [options.from] - the start of the first period. Defaults to the first event.
+     * @param {Date|string|number} [options.to] - the end of the last period. Defaults to the last event.
+     * @returns {Object[]} - one object per period with start and end (Dates) and events. The events are copies with start and end as Dates clipped to the period and length in minutes.
      */
-    showTooltip(show, g, start, end, title) {
-        this.drawing = true;
-        if (this.tooltip === undefined) {
-            this.tooltip = document.createElement('div');
-            this.tooltip.style.display = "block";
-            this.tooltip.style.position = "absolute";
-            this.tooltip.style.fontFamily = this.font;
-            this.tooltip.classList.add('time-chart-tooltip');
-            this.tooltip.appendChild(document.createElement('span'));
-            this.container.appendChild(this.tooltip);
-        }
-
-        if (!show) {
-            this.tooltip.style.visibility = "hidden";
-            return;
+    bucket(events, options) {
+        options = Object.assign({ period: "day", weekStart: 1 }, options);
+        const { period, timeZone, weekStart } = options;
+        const slots = eventSlots(events);
+
+        const from = options.from !== undefined ? toMinutes(options.from, "milliseconds") : slots.reduce((p, c) => Math.min(p, c.start), Infinity);
+        const to = options.to !== undefined ? toMinutes(options.to, "milliseconds") : slots.reduce((p, c) => Math.max(p, c.end), -Infinity);
+        if (!(to > from)) {
+            return [];
         }
 
-        this.tooltip.style.top = g.getBoundingClientRect().y - 43 + "px";
-        clear(this.tooltip);
-        this.tooltip.innerHTML = this.hover.callback(title, start, end);
-        this.tooltip.style.left = `calc(${g.getBoundingClientRect().x + g.getBoundingClientRect().width / 2 - this.tooltip.getBoundingClientRect().width / 2}px)`;
-        this.tooltip.style.visibility = "visible";
-        this.drawing = false;
-    }
+        const buckets = [];
+        for (let start = startOfPeriod(from, period, timeZone, weekStart); start < to; start = nextPeriod(start, period, timeZone, weekStart)) {
+            const end = nextPeriod(start, period, timeZone, weekStart);
+            buckets.push({
+                start: new Date(start * 60000),
+                end: new Date(end * 60000),
+                events: slots.filter(s => s.end > start && s.start < end).map(s => {
+                    const clippedStart = Math.max(s.start, start);
+                    const clippedEnd = Math.min(s.end, end);
+                    return Object.assign({}, s.event, { start: new Date(clippedStart * 60000), end: new Date(clippedEnd * 60000), length: clippedEnd - clippedStart });
+                })
+            });
+        }
+        return buckets;
+    },
 
     /**
-     * Replaces the existing data with new data. 
-     * @param {array} [params.data] - the data to be displayed.
-     * @param {Object[]} [params.data.timelines] - each object represents one timeline. For multiple timelines under each other, have multiple objects.
-     * @param {string} [params.data.timelines[].label] - the label to the right of the timeline.
-     * @param {Object[]} params.data.timelines[].values - the values (marked time slots).
-     * @param {number} params.data.timelines[].values[].start - the point at which the time slot starts in minutes.
-     * @param {number} params.data.timelines[].values[].length - the point at which the time slot ends in minutes.
-     * @param {string} [params.data.timelines[].values[].title] - the title of the time slot.
-     * @param {string[]} [params.data.timelines[].colors = ['#7cd6fd', '#5e64ff', '#743ee2', '#ff5858', '#ffa00a', '#feef72', '#28a745', '#98d85b', '#b554ff', '#ffa3ef', '#36114C', '#bdd3e6', '#f0f4f7', '#b8c2cc']] - the colors for the timeline.
+     * Sums the durations of events per group.
+     * @param {Object[]} events - the events.
+     * @param {string|Function} [key = 'title'] - the name of a property (e.g. 'title' or 'tag') or a function that receives the event and returns its group.
+     * @returns {Object} - the minutes per group in the order in which the groups first occur. Events without a group are summed up under "".
      */
-    setData(data) {
-        this.data = data;
-        this.draw();
-    }
-}
+    group(events, key) {
+        const groups = {};
+        for (const slot of eventSlots(events)) {
+            const group = groupOf(slot.event, key || "title");
+            groups[group] = (groups[group] || 0) + slot.end - slot.start;
+        }
+        return groups;
+    },
 
-class Piechart {
     /**
-     * Constructs a Piechart
-     * @constructor
-     * @param {string} element - css query selector of the container dom element into which the chart is placed.
-     * @param {Object} [params] - options.
-     * @param {Object[]} [params.data] - the data to be displayed.
-     * @param {number} [params.data[].value] - value of the part.
-     * @param {number} [params.data[].label] - label of the part.
-     * @param {number} [params.data[].color] - color of the part.
-     * @param {Object} [params.padding] - padding in all directions of the chart.
-     * @param {number|string} [params.padding.top] - top padding for the chart.
-     * @param {number|string} [params.padding.right] - right padding for the chart.
-     * @param {number|string} [params.padding.bottom] - bottom padding for the chart.
-     * @param {number|string} [params.padding.left] - left padding for the chart.
-     * @param {Array} [params.colors] - custom colors
-     * @param {string} [params.font = 'Roboto'] - the font for all writing. Font must be imported separately.
-     * @param {Object} [params.hover] - options for the hover effect.
-     * @param {boolean} [params.hover.visible = true] - whether the titles should be shown on hover or not.
-     * @param {Function} [params.hover.callback] - function that returns html that is displayed in the hover effect. Receives (title, start, end).
-     * @throws Will throw an error if the container element is not found.
+     * Creates the data of a Barchart with one bar per period that is stacked by group.
+     * @param {Object[]} events - the events.
+     * @param {Object} [options] - options. Also takes the options of data.bucket.
+     * @param {string|Function} [options.groupBy = 'title'] - the name of a property or a function that returns the group of an event.
+     * @param {'minutes' | 'hours'} [options.unit = 'minutes'] - the unit of the values.
+     * @param {string|string[]} [options.locale] - the locale of the labels. Defaults to the locale of the browser.
+     * @param {Function} [options.label] - custom formatter for the labels. Receives the start of the period as a Date.
+     * @returns {Object[]} - the data for Barchart (label and datasets with title and value).
      */
-    constructor(element, params) {
-        this.container = document.querySelector(element);
-        if (this.container == null) {
-            console.error("Container for chart does not exist");
-            return;
-        }
-
-        // Extract parameters and sets defaults if parameters not available
-        mergeObjects(params, {
-            data: [
-
-            ],
-            padding: {
-                top: 0,
-                right: 0,
-                bottom: 0,
-                left: 0
-            },
-            colors: ['#7cd6fd', '#5e64ff', '#743ee2', '#ff5858', '#ffa00a', '#feef72', '#28a745', '#98d85b', '#b554ff', '#ffa3ef', '#36114C', '#bdd3e6', '#f0f4f7', '#b8c2cc'],
-            font: "Roboto",
-            hover: {
-                visible: true,
-                callback: (title, value) => `<span style="color: gray">${value}</span>${title !== "" ? ": " + title : ""}`
-            },
-            adjustSize: false,
-            donutFactor: 0
+    toBarchart(events, options) {
+        options = Object.assign({ period: "day", groupBy: "title", unit: "minutes" }, options);
+        const format = new Intl.DateTimeFormat(options.locale, options.period === "month" ? { month: "short", year: "numeric", timeZone: options.timeZone } : { month: "short", day: "numeric", timeZone: options.timeZone });
+        const label = options.label || (start => format.format(start));
+
+        return data.bucket(events, options).map(bucket => {
+            const groups = data.group(bucket.events, options.groupBy);
+            return {
+                label: label(bucket.start),
+                datasets: Object.keys(groups).map(title => ({
+                    title,
+                    value: options.unit === "hours" ? groups[title] / 60 : groups[title]
+                }))
+            };
         });
+    },
 
-        this.scale = params.scale;
-        this.data = params.data;
-        this.padding = params.padding;
-        this.font = params.font;
-        this.hover = params.hover;
-        this.colors = params.colors;
-        this.drawing = false;
-        this.donutFactor = params.donutFactor;
-
-        this.draw();
-        if (typeof ResizeObserver === "function") {
-            const ro = new ResizeObserver(entries => {
-                if(this.drawing || entries[0].contentRect.width === 0 || entries[0].contentRect.height === 0)
-                    return;
-                this.draw();
-            });
-            ro.observe(this.container);
-        } else {
-            window.addEventListener('resize', () => {
-                if(this.drawing)
-                    return;
-                this.draw();
-            });
-        }
-    }
+    /**
+     * Creates the data of a Piechart with one part per group.
+     * @param {Object[]} events - the events.
+     * @param {Object} [options] - options.
+     * @param {string|Function} [options.groupBy = 'title'] - the name of a property or a function that returns the group of an event.
+     * @param {'minutes' | 'hours'} [options.unit = 'minutes'] - the unit of the values.
+     * @returns {Object[]} - the data for Piechart (label and value).
+     */
+    toPiechart(events, options) {
+        options = Object.assign({ groupBy: "title", unit: "minutes" }, options);
+        const groups = data.group(events, options.groupBy);
+        return Object.keys(groups).map(label => ({
+            label,
+            value: options.unit === "hours" ? groups[label] / 60 : groups[label]
+        }));
+    },
 
     /**
-     * Draws the piechart
-     * @private
+     * Creates the data of a Timeline with one timeline per day. The times are minutes of the day, so that all days share the scale.
+     * @param {Object[]} events - the events.
+     * @param {Object} [options] - options. Also takes from, to and timeZone of data.bucket.
+     * @param {string|Function} [options.groupBy = 'title'] - the name of a property or a function that returns the title of a time slot.
+     * @param {string|string[]} [options.locale] - the locale of the labels. Defaults to the locale of the browser.
+     * @param {Function} [options.label] - custom formatter for the labels. Receives the start of the day as a Date.
+     * @returns {Object} - the data for Timeline (timelines with label and values).
      */
-    draw() {
-        this.drawing = true;
-        this.svg = Draw.svg(`calc(100% - ${this.padding.right + this.padding.left}px)`, `calc(100% - ${this.padding.top + this.padding.bottom}px)`, 100, 100, {
-            preserveAspectRatio: "xMidYMin"
+    toTimeline(events, options) {
+        options = Object.assign({ groupBy: "title" }, options, { period: "day" });
+        const format = new Intl.DateTimeFormat(options.locale, { weekday: "short", month: "short", day: "numeric", timeZone: options.timeZone });
+        const label = options.label || (start => format.format(start));
+
+        return {
+            timelines: data.bucket(events, options).map(bucket => {
+                const wallMinutes = date => date.getTime() / 60000 + timeZoneOffset(date.getTime() / 60000, options.timeZone); // Minutes on the wall clock, so that days with a clock change keep the times of day
+                const dayStart = wallMinutes(bucket.start);
+                return {
+                    label: label(bucket.start),
+                    values: bucket.events.map(e => ({
+                        start: wallMinutes(e.start) - dayStart,
+                        length: e.length,
+                        title: groupOf(e, options.groupBy)
+                    }))
+                };
+            })
+        };
+    },
+    /**
+     * Reads the events of an iCalendar (.ics) file. Supports DTSTART, DTEND, DURATION, SUMMARY, TZID, EXDATE and recurrence rules with FREQ, INTERVAL, COUNT, UNTIL and BYDAY (weekly, without numbers). Events with other rules are imported once and reported in the errors.
+     * @param {string} text - the content of the file.
+     * @param {Object} [options] - options.
+     * @param {number} [options.maxOccurrences = 1000] - the maximum number of occurrences of a recurring event.
+     * @param {Date|string|number} [options.until] - recurring events are only expanded up to this point in time.
+     * @param {string|Function} [options.row] - the name of a property of the events or a function that returns the row of an event. Defaults to the name of the calendar.
+     * @returns {Object} - timelines (for Timeline data.timelines), events (start, end, title, row, uid, allDay) and errors (line and message of each malformed or unsupported part).
+     */
+    parseICS(text, options) {
+        options = Object.assign({ maxOccurrences: 1000 }, options);
+        const until = options.until !== undefined ? toMinutes(options.until, "milliseconds") : Infinity;
+        const errors = [];
+        const events = [];
+
+        // Unfold lines that continue with a space or tab
+        const lines = [];
+        text.split(/\r?\n/).forEach((content, i) => {
+            if (/^[ \t]/.test(content) && lines.length > 0) {
+                lines[lines.length - 1].content += content.slice(1);
+            } else if (content.trim() !== "") {
+                lines.push({ content, line: i + 1 });
+            }
         });
 
-        // Padding
-        this.svg.style.paddingTop = this.padding.top;
-        this.svg.style.paddingRight = this.padding.right;
-        this.svg.style.paddingBottom = this.padding.bottom;
-        this.svg.style.paddingLeft = this.padding.left;
-        this.svg.style.boxSizing = "initial";
+        let calendarName = "";
+        let event;
+        for (const { content, line } of lines) {
+            const match = /^([A-Za-z0-9-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/.exec(content);
+            if (!match) {
+                errors.push({ line, message: `Malformed line "${content}"` });
+                continue;
+            }
 
-        // Draw data
-        const drawCircle = (cx, cy, rx, ry, part, prev, size) => {
-            const startX = cx + rx * Math.sin(prev * 2 * Math.PI);
-            const startY = cy + ry * Math.cos((0.5 + prev) * 2 * Math.PI);
-            const dx = rx * part;
-            const dy = ry * part;
+            const name = match[1].toUpperCase();
+            const value = match[3];
+            const params = {};
+            for (const param of match[2].split(";").slice(1)) {
+                const [key, paramValue] = param.split("=");
+                params[key.toUpperCase()] = paramValue.replace(/^"|"$/g, "");
+            }
 
-            size = Math.min(size, 0.999);
+            if (name === "BEGIN" && value.toUpperCase() === "VEVENT") {
+                event = { line, exdates: [] };
+            } else if (name === "END" && value.toUpperCase() === "VEVENT" && event) {
+                addICSEvent(event, events, errors, options, until);
+                event = undefined;
+            } else if (name === "X-WR-CALNAME" && !event) {
+                calendarName = value;
+            } else if (event) {
+                try {
+                    if (name === "DTSTART" || name === "DTEND") {
+                        const date = parseICSDate(value, params.TZID);
+                        if (date === undefined) {
+                            errors.push({ line, message: `Invalid date "${value}" in ${name}` });
+                        } else {
+                            event[name === "DTSTART" ? "start" : "end"] = date;
+                        }
+                    } else if (name === "DURATION") {
+                        event.duration = parseICSDuration(value);
+                        if (isNaN(event.duration)) {
+                            errors.push({ line, message: `Invalid duration "${value}"` });
+                        }
+                    } else if (name === "SUMMARY") {
+                        event.title = value.replace(/\\([\;,])/g, "$1").replace(/\\[nN]/g, "\n");
+                    } else if (name === "UID") {
+                        event.uid = value;
+                    } else if (name === "RRULE") {
+                        event.rrule = { value, line };
+                    } else if (name === "EXDATE") {
+                        for (const exdate of value.split(",")) {
+                            const date = parseICSDate(exdate, params.TZID);
+                            if (date !== undefined) {
+                                event.exdates.push(date.minutes);
+                            }
+                        }
+                    }
+                } catch (e) { // Intl throws for unknown time zones
+                    errors.push({ line, message: `Unknown time zone "${params.TZID}"` });
+                }
+            }
+        }
 
-            const path = `M ${startX} ${startY} A ${rx} ${ry} 0 ${size >= 0.5 ? 1 : 0} 1 ${cx + rx * Math.sin((size + prev) * 2 * Math.PI)}, ${cy + ry * Math.cos((0.5 + size + prev) * 2 * Math.PI)} L ${cx + dx * Math.sin((size + prev) * 2 * Math.PI)}, ${cy + dy * Math.cos((0.5 + size + prev) * 2 * Math.PI)} A ${dx} ${dy} 0 ${size >= 0.5 ? 1 : 0} 0 ${cx + (startX - cx) / rx * dx}, ${cy + (startY - cy) / ry * dy} z`;
+        if (event) {
+            errors.push({ line: event.line, message: "VEVENT without END:VEVENT" });
+        }
 
-            return path;
+        const rowKey = options.row;
+        for (const e of events) {
+            e.row = rowKey === undefined ? calendarName : groupOf(e, rowKey);
         }
+        return { timelines: eventTimelines(events), events, errors };
+    },
 
-        let deg = 0;
-        const sum = this.data.reduce((p, c) => p + c.value, 0);
-        // Draw foreground
-        for (let i = 0; i < this.data.length; i++) {
-            const label = this.data[i].label || "";
-            const value = this.data[i].value ? this.data[i].value / sum : 0;
-            const color = this.data[i].color || this.colors[i % this.colors.length];
+    /**
+     * Reads the entries of a CSV export of a time tracker. The first line must contain the names of the columns.
+     * @param {string} text - the content of the file.
+     * @param {Object} [options] - options.
+     * @param {Object} [options.columns] - the names of the columns. Columns that are not set are detected from common names (e.g. "Start date" and "Start time" of Toggl and Clockify). Arrays of names are joined with a space, e.g. ["Start date", "Start time"].
+     * @param {string|string[]} [options.columns.start] - the start of an entry.
+     * @param {string|string[]} [options.columns.end] - the end of an entry. Either end or duration is needed.
+     * @param {string} [options.columns.duration] - the duration of an entry, e.g. 01:30:00 or 1.5.
+     * @param {string} [options.columns.title] - the title of an entry.
+     * @param {string} [options.columns.row] - the timeline of an entry, e.g. the project or the user.
+     * @param {string} [options.delimiter] - the delimiter. Defaults to the most common of comma, semicolon and tab in the first line.
+     * @param {string} [options.timeZone] - the IANA time zone of times without offset. Defaults to the local time zone.
+     * @param {'hours' | 'minutes'} [options.durationUnit = 'hours'] - the unit of durations that are decimal numbers.
+     * @returns {Object} - timelines (for Timeline data.timelines), events (start, end, title, row) and errors (line and message of each malformed line).
+     */
+    parseCSV(text, options) {
+        options = Object.assign({ durationUnit: "hours" }, options);
+        const firstLine = text.split(/\r?\n/)[0] || "";
+        const delimiter = options.delimiter || [",", ";", "\t"].reduce((p, c) => firstLine.split(c).length > firstLine.split(p).length ? c : p, ",");
+        const rows = splitCSV(text, delimiter);
+        const errors = [];
+        const events = [];
+
+        if (rows.length === 0) {
+            errors.push({ line: 1, message: "The file is empty" });
+            return { timelines: [], events, errors };
+        }
 
-            let  foreground = Draw.path(
-                drawCircle(50, 50, 50, 50, this.donutFactor, deg, value),
-                color
-            );
+        const header = rows[0].fields.map(f => f.trim());
+        const find = names => names.find(n => header.some(h => h.toLowerCase() === n.toLowerCase()));
+        const detect = (candidates) => {
+            for (const candidate of candidates) {
+                const names = [].concat(candidate);
+                if (names.every(n => find([n]) !== undefined)) {
+                    return names;
+                }
+            }
+            return undefined;
+        };
+        const columns = Object.assign({
+            start: detect([["Start date", "Start time"], "Start", "Start time", "Begin", "From"]),
+            end: detect([["End date", "End time"], "End", "End time", "Stop", "To"]),
+            duration: detect(["Duration", "Duration (h)", "Duration (decimal)", "Time (h)", "Hours"]),
+            title: detect(["Description", "Title", "Task", "Summary"]),
+            row: undefined
+        }, options.columns);
+
+        const index = name => header.findIndex(h => h.toLowerCase() === `${name}`.toLowerCase());
+        const indices = {};
+        for (const key of Object.keys(columns)) {
+            if (columns[key] === undefined) {
+                continue;
+            }
+            indices[key] = [].concat(columns[key]).map(index);
+            const missing = [].concat(columns[key]).filter((n, i) => indices[key][i] < 0);
+            if (missing.length > 0) {
+                errors.push({ line: rows[0].line, message: `Column "${missing.join('", "')}" not found` });
+                return { timelines: [], events, errors };
+            }
+        }
 
-            deg += value;
+        if (indices.start === undefined || (indices.end === undefined && indices.duration === undefined)) {
+            errors.push({ line: rows[0].line, message: "Columns for the start and either the end or the duration are needed" });
+            return { timelines: [], events, errors };
+        }
 
-            this.svg.appendChild(foreground);
+        for (const row of rows.slice(1)) {
+            const get = key => indices[key] === undefined ? undefined : indices[key].map(i => (row.fields[i] || "").trim()).join(" ").trim();
 
-            if (this.hover.visible) {
-                foreground.addEventListener('mousemove', evt => { this.showTooltip(true, foreground, this.data[i].value || 0, label, evt) });
-                foreground.addEventListener("mouseleave", evt => { this.showTooltip(false) });
+            const startValue = get("start");
+            const start = parseCSVDate(startValue, options.timeZone);
+            if (isNaN(start)) {
+                errors.push({ line: row.line, message: `Invalid start "${startValue}"` });
+                continue;
             }
-        }
-        
-        clear(this.container);
-        this.tooltip = undefined;
-        this.container.appendChild(this.svg);
-        this.drawing = false;
-    }
 
-    /**
-     * Draws a tooltip at the horizontal center of the element
-     * @private
-     * @param {boolean} show - Whether to show or hide the tooltip
-     * @param {Object} g - the element on which the tooltip is centered
-     * @param {number} value - the value
-     * @param {number|string} title - the title of the element
-     *  @param {Object} title - the mouse event
-     */
-    showTooltip(show, g, value, title, event) {
-        this.drawing = true;
-        if (this.tooltip === undefined) {
-            this.tooltip = document.createElement('div');
-            this.tooltip.style.display = "block";
-            this.tooltip.style.position = "absolute";
-            this.tooltip.style.fontFamily = this.font;
-            this.tooltip.classList.add('time-chart-tooltip');
-            this.tooltip.appendChild(document.createElement('span'));
-            this.container.appendChild(this.tooltip);
-        }
-
-        if (!show) {
-            this.tooltip.style.visibility = "hidden";
-            return;
-        }
+            let end;
+            const endValue = get("end");
+            if (endValue) {
+                end = parseCSVDate(endValue, options.timeZone);
+                if (isNaN(end)) {
+                    errors.push({ line: row.line, message: `Invalid end "${endValue}"` });
+                    continue;
+                }
+            } else {
+                const durationValue = get("duration") || "";
+                const duration = parseCSVDuration(durationValue, options.durationUnit);
+                if (isNaN(duration)) {
+                    errors.push({ line: row.line, message: durationValue === "" ? "Neither end nor duration is set" : `Invalid duration "${durationValue}"` });
+                    continue;
+                }
+                end = start + duration;
+            }
 
-        this.tooltip.style.top = (event.pageY - 47) + "px";
-        clear(this.tooltip);
-        this.tooltip.innerHTML = this.hover.callback(title, value);
-        this.tooltip.style.left = (event.pageX - this.tooltip.getBoundingClientRect().width / 2) + "px";
-        this.tooltip.style.visibility = "visible";
-        this.drawing = false;
-    }
+            if (end < start) {
+                errors.push({ line: row.line, message: "The entry ends before it starts" });
+                continue;
+            }
 
-    /**
-     * Replaces the existing data with new data. 
-     * @param {array} [params.data] - the data to be displayed.
-     * @param {Object[]} [params.data] - the data to be displayed.
-     * @param {number} [params.data[].value] - value of the part.
-     * @param {number} [params.data[].label] - label of the part.
-     * @param {number} [params.data[].color] - color of the part.
-     */
-    setData(data) {
-        this.data = data;
-        this.draw();
+            events.push({
+                start: new Date(start * 60000),
+                end: new Date(end * 60000),
+                title: get("title") || "",
+                row: get("row")
+            });
+        }
+
+        return { timelines: eventTimelines(events), events, errors };
     }
-}
+};
 
 // attach properties to the exports object to define
 // the exported module properties.
 export {
     Barchart,
+    Clock,
+    Gantt,
+    Heatmap,
+    Linechart,
     Piechart,
-    Timeline
+    Timeline,
+    data,
+    renderToString
 }
\ No newline at end of file
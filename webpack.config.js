@@ -10,6 +10,7 @@ module.exports = (env, argv) => {
                 filename: 'TimeCharts.js',
                 library: "TimeCharts",
                 libraryTarget: 'umd',
+                globalObject: 'this',
             },
             module: {
                 rules: [
@@ -45,6 +46,7 @@ module.exports = (env, argv) => {
                 filename: 'TimeCharts.min.js',
                 library: "TimeCharts",
                 libraryTarget: 'umd',
+                globalObject: 'this',
             },
             module: {
                 rules: [